@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// Command-line map generator: prompt (or spec file) in, SVG/PPTX/PNG/PDF/EPS/ZIP/JSON out
+
+import { parseArgs } from 'util';
+import fs from 'fs';
+import { extname, dirname, resolve } from 'path';
+import dotenv from 'dotenv';
+import { validateMapData } from '../js/llmMapGenerator.js';
+import { requestMapData } from '../lib/claude.js';
+import { renderSvg } from '../lib/renderSvg.js';
+import { renderPptx, renderDeck, renderPng, renderPdf, renderEps, renderBundle } from '../lib/headlessExport.js';
+import { validateTemplate } from '../js/exportPptx.js';
+import { ARTBOARD_PRESETS, parseArtboard, resolveArtboard } from '../js/artboard.js';
+
+const FORMATS = ['svg', 'pptx', 'png', 'pdf', 'eps', 'zip', 'json'];
+
+const USAGE = `Usage: map-generator "<description>" [options]
+       map-generator --spec spec.json [options]
+
+Options:
+  -o, --out <file>       Output file (default: map.<format>)
+  -f, --format <format>  svg, pptx, png, pdf, eps, zip or json
+                         (default: from --out, else svg)
+  -s, --spec <file>      Render this MapData JSON instead of asking Claude;
+                         repeat it for a PPTX deck with one map per slide
+  -t, --template <file>  PPTX slide master JSON: size ("16:9" or "4:3"),
+                         fontFace, titleFontFace, background, logo, title
+  -w, --width <px>       Map width (default: 960)
+  -h, --height <px>      Map height (default: 500)
+  -a, --artboard <size>  Physical map size instead of -w/-h: a preset
+                         (${Object.keys(ARTBOARD_PRESETS).join(', ')}) or a size
+                         like 8.5x11in, 210x297mm or 1080x1080px
+      --dpi <dpi>        PNG resolution (default: 300, or 1:1 on px artboards)
+      --png-width <px>   PNG width in pixels, instead of --dpi
+      --background <color>
+                         PNG/PDF/EPS background (default: transparent)
+  -q, --quiet            Suppress progress logging
+      --help             Show this message
+
+Set CLAUDE_API_KEY (or put it in .env) to generate from a description.`;
+
+/**
+ * Print an error and the usage text, then exit
+ * @param {string} message - Error message
+ */
+function fail(message) {
+    console.error(`Error: ${message}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+/**
+ * Parse a positive pixel dimension argument
+ * @param {string} value - Raw argument
+ * @param {string} name - Option name for errors
+ * @returns {number} Dimension in px
+ */
+function parseDimension(value, name) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) fail(`--${name} must be a positive number`);
+    return n;
+}
+
+async function main() {
+    dotenv.config({ quiet: true });
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                out: { type: 'string', short: 'o' },
+                format: { type: 'string', short: 'f' },
+                spec: { type: 'string', short: 's', multiple: true },
+                template: { type: 'string', short: 't' },
+                width: { type: 'string', short: 'w', default: '960' },
+                height: { type: 'string', short: 'h', default: '500' },
+                artboard: { type: 'string', short: 'a' },
+                dpi: { type: 'string' },
+                'png-width': { type: 'string' },
+                background: { type: 'string' },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', default: false }
+            }
+        });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const description = positionals.join(' ').trim();
+    const specs = values.spec || [];
+    if (!description && !specs.length) fail('Provide a map description or --spec');
+
+    const format = (values.format || (values.out ? extname(values.out).slice(1) : 'svg')).toLowerCase();
+    if (!FORMATS.includes(format)) fail(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+
+    if (specs.length > 1 && format !== 'pptx') fail('Several --spec files make a PPTX deck; use -f pptx');
+    if (values.template && format !== 'pptx') fail('--template only applies to PPTX output');
+    if ((values.dpi || values['png-width']) && format !== 'png') fail('--dpi and --png-width only apply to PNG output');
+
+    const staticOptions = {};
+    if (values.dpi) staticOptions.dpi = parseDimension(values.dpi, 'dpi');
+    if (values['png-width']) staticOptions.width = parseDimension(values['png-width'], 'png-width');
+    if (values.background) staticOptions.background = values.background;
+
+    const out = values.out || `map.${format}`;
+    const size = {
+        width: parseDimension(values.width, 'width'),
+        height: parseDimension(values.height, 'height')
+    };
+    if (values.artboard) {
+        try {
+            size.artboard = parseArtboard(values.artboard);
+            resolveArtboard(size.artboard);
+        } catch (error) {
+            fail(error.message);
+        }
+    }
+
+    // Progress logging goes through console.log; keep stdout clean when asked
+    if (values.quiet) console.log = () => {};
+
+    let template = {};
+    if (values.template) {
+        template = JSON.parse(fs.readFileSync(values.template, 'utf8'));
+        try {
+            validateTemplate(template);
+        } catch (error) {
+            fail(error.message);
+        }
+        // Logo files are relative to the template
+        if (template.logo?.path && !/^[a-z]+:/i.test(template.logo.path)) {
+            template.logo.path = resolve(dirname(values.template), template.logo.path);
+        }
+    }
+
+    let mapDataList;
+    if (specs.length) {
+        mapDataList = specs.map(spec => {
+            const mapData = JSON.parse(fs.readFileSync(spec, 'utf8'));
+            validateMapData(mapData);
+            if (mapData.showLabels === undefined) {
+                mapData.showLabels = true;
+            }
+            return mapData;
+        });
+    } else {
+        if (!process.env.CLAUDE_API_KEY) fail('CLAUDE_API_KEY is not set');
+        mapDataList = [await requestMapData(description)];
+    }
+    const [mapData] = mapDataList;
+
+    let output;
+    if (format === 'json') {
+        output = JSON.stringify(mapData, null, 2) + '\n';
+    } else if (format === 'svg') {
+        output = await renderSvg(mapData, size);
+    } else if (format === 'pptx') {
+        output = mapDataList.length > 1
+            ? await renderDeck(mapDataList, size, template)
+            : await renderPptx(mapData, size, template);
+    } else if (format === 'png') {
+        output = await renderPng(mapData, size, staticOptions);
+    } else if (format === 'pdf') {
+        output = await renderPdf(mapData, size, staticOptions);
+    } else if (format === 'eps') {
+        output = await renderEps(mapData, size, staticOptions);
+    } else {
+        output = await renderBundle(mapData, size);
+    }
+
+    fs.writeFileSync(out, output);
+    console.error(`Wrote ${out}`);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+/**
+ * Admin-1 regions outside the US (provinces, Länder, Indian states...),
+ * keyed by ISO 3166-2 codes like "CA-ON". Each country's regions live in
+ * geojson/admin1/<ISO alpha-2>.topojson (built by `npm run build:data`),
+ * so a map only loads the countries it uses.
+ */
+
+import { log } from './logger.js';
+
+const ADMIN1_CODE = /^[A-Z]{2}-[A-Z0-9]{1,3}$/;
+
+/**
+ * Check whether a region code is an ISO 3166-2 admin-1 code
+ * @param {string} code - Region code from a spec
+ * @returns {boolean} True for codes like "CA-ON" or "DE-BY"
+ */
+export function isAdmin1Code(code) {
+    return ADMIN1_CODE.test(code);
+}
+
+/**
+ * Load the admin-1 regions of every country a spec refers to with an
+ * ISO 3166-2 code
+ * @param {Object} mapData - Map configuration
+ * @param {function(string): Promise<Object>} load - JSON loader
+ * @returns {Promise<Array<Object>>} Admin-1 features (properties: name, iso_3166_2)
+ * @throws {Error} If a country has no admin-1 data or a code names no region, rather than drawing nothing for them
+ */
+export async function loadAdmin1(mapData, load) {
+    const codes = [
+        ...Object.keys(mapData.highlightColors || {}),
+        ...(mapData.states || []).map(s => s.postalCode)
+    ].filter(isAdmin1Code);
+
+    const countries = [...new Set(codes.map(code => code.slice(0, 2)))];
+    const collections = await Promise.all(countries.map(async country => {
+        let topology;
+        try {
+            topology = await load(`geojson/admin1/${country}.topojson`);
+        } catch (error) {
+            log('D3', 'No admin-1 data for country', { country, error: error.message });
+            const missing = codes.filter(code => code.startsWith(`${country}-`));
+            throw new Error(`No province/state data for country "${country}" (used by ${missing.join(', ')})`);
+        }
+        return topojson.feature(topology, topology.objects.regions);
+    }));
+
+    const features = collections.flatMap(collection => collection.features);
+
+    const known = new Set(features.map(d => d.properties.iso_3166_2));
+    const unknown = [...new Set(codes)].filter(code => !known.has(code));
+    if (unknown.length) {
+        log('D3', 'Unknown admin-1 codes', { unknown });
+        throw new Error(`No province/state data for ${unknown.join(', ')}`);
+    }
+
+    return features;
+}
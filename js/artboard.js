@@ -0,0 +1,76 @@
+/**
+ * Artboards: a fixed map size in inches, millimetres or pixels. A map
+ * rendered on an artboard is laid out at that size whatever the preview's
+ * size, so its projection, labels and strokes come out the same in every
+ * export, and the SVG carries the physical size in its width and height.
+ */
+
+// SVG user units are CSS px: 96 to the inch
+const PX_PER_UNIT = {
+    in: 96,
+    mm: 96 / 25.4,
+    px: 1
+};
+
+export const ARTBOARD_UNITS = Object.keys(PX_PER_UNIT);
+
+/**
+ * Preset artboards, by id
+ */
+export const ARTBOARD_PRESETS = {
+    letter: { name: 'Letter', width: 8.5, height: 11, unit: 'in' },
+    a4: { name: 'A4', width: 210, height: 297, unit: 'mm' },
+    slide: { name: '16:9 slide', width: 10, height: 5.625, unit: 'in' },
+    instagram: { name: 'Instagram square', width: 1080, height: 1080, unit: 'px' },
+    column: { name: 'Newspaper column', width: 46, height: 60, unit: 'mm' }
+};
+
+// Largest artboard side, in px (about 2.6 m)
+const MAX_SIDE_PX = 10000;
+
+/**
+ * Resolve an artboard to its size in px and its SVG width/height
+ * @param {string|Object} artboard - Preset id, or { width, height, unit } (unit defaults to px)
+ * @returns {{width: number, height: number, svgWidth: string, svgHeight: string}} Size in px, and the physical size for the SVG
+ */
+export function resolveArtboard(artboard) {
+    const spec = typeof artboard === 'string' ? ARTBOARD_PRESETS[artboard] : artboard;
+    if (!spec) {
+        throw new Error(`Unknown artboard "${artboard}" (expected ${Object.keys(ARTBOARD_PRESETS).join(', ')} or a size)`);
+    }
+
+    const unit = spec.unit || 'px';
+    if (!PX_PER_UNIT[unit]) {
+        throw new Error(`Unknown artboard unit "${unit}" (expected ${ARTBOARD_UNITS.join(', ')})`);
+    }
+
+    const width = Number(spec.width) * PX_PER_UNIT[unit];
+    const height = Number(spec.height) * PX_PER_UNIT[unit];
+    if (![width, height].every(n => n >= 1 && n <= MAX_SIDE_PX)) {
+        throw new Error(`Artboard ${spec.width} × ${spec.height} ${unit} is out of range (1–${MAX_SIDE_PX} px a side)`);
+    }
+
+    return {
+        width,
+        height,
+        svgWidth: `${Number(spec.width)}${unit}`,
+        svgHeight: `${Number(spec.height)}${unit}`
+    };
+}
+
+/**
+ * Parse an artboard from text: a preset id, or a size like '8.5x11in',
+ * '210x297mm' or '1080x1080' (px)
+ * @param {string} text - Artboard text
+ * @returns {string|Object} Preset id or { width, height, unit }, for resolveArtboard
+ */
+export function parseArtboard(text) {
+    const value = String(text).trim().toLowerCase();
+    if (ARTBOARD_PRESETS[value]) return value;
+
+    const match = /^(\d*\.?\d+)\s*[x×]\s*(\d*\.?\d+)\s*(in|mm|px)?$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid artboard "${text}" (expected ${Object.keys(ARTBOARD_PRESETS).join(', ')}, or a size like 8.5x11in or 210x297mm)`);
+    }
+    return { width: parseFloat(match[1]), height: parseFloat(match[2]), unit: match[3] || 'px' };
+}
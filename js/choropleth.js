@@ -0,0 +1,231 @@
+import { parseCsv } from './csv.js';
+
+// Named pastels from the system prompt, used as the dark end of ramps
+const BASE_COLORS = {
+    red: '#b05856',
+    blue: '#89a9cc',
+    orange: '#E0A075',
+    yellow: '#E6B958',
+    green: '#96bc95',
+    purple: '#c19db3',
+    gold: '#E6B958'
+};
+
+// Light end of every ramp, a touch lighter than the default fill
+const RAMP_LIGHT = '#f5efe9';
+
+// Same ceiling the system prompt sets for fills (HSB saturation)
+const MAX_SATURATION = 0.3;
+
+export const CHOROPLETH_SCALES = ['sequential', 'diverging', 'quantile'];
+
+// Header names (lowercased, without spaces/underscores) that mark the key column
+const KEY_COLUMNS = ['isoa3', 'iso3', 'iso', 'code', 'postal', 'postalcode', 'fips', 'geoid', 'state', 'country'];
+
+/**
+ * Cap a color's HSB saturation, keeping its hue and brightness
+ * @param {string} color - Any CSS color
+ * @returns {string} Hex color
+ */
+function clampSaturation(color) {
+    const { r, g, b } = d3.rgb(color);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    if (max === 0 || (max - min) / max <= MAX_SATURATION) return d3.rgb(r, g, b).formatHex();
+
+    const k = MAX_SATURATION / ((max - min) / max);
+    const desaturate = c => max - (max - c) * k;
+    return d3.rgb(desaturate(r), desaturate(g), desaturate(b)).formatHex();
+}
+
+/**
+ * Class colors for a choropleth spec
+ * @param {Object} choropleth - MapData choropleth block
+ * @param {number} classes - Number of classes
+ * @returns {Array<string>} Hex colors, light to dark (or low to high)
+ */
+function classColors(choropleth, classes) {
+    const interpolate = choropleth.scale === 'diverging'
+        ? d3.piecewise(d3.interpolateLab, [BASE_COLORS.red, RAMP_LIGHT, BASE_COLORS.blue])
+        : d3.interpolateLab(RAMP_LIGHT, BASE_COLORS[choropleth.color] || choropleth.color || BASE_COLORS.blue);
+
+    // Skip the very lightest step on sequential ramps so the first class is
+    // still distinguishable from the default fill
+    const steps = choropleth.scale === 'diverging'
+        ? d3.quantize(interpolate, classes)
+        : d3.quantize(interpolate, classes + 1).slice(1);
+
+    return steps.map(clampSaturation);
+}
+
+/**
+ * Build the D3 scale for a choropleth spec
+ * @param {Object} choropleth - MapData choropleth block with values
+ * @returns {Function|null} Scale from value to color, or null if there is no data
+ */
+function buildScale(choropleth) {
+    const values = Object.values(choropleth.values || {}).filter(Number.isFinite);
+    if (!values.length) return null;
+
+    const classes = Math.min(Math.max(Math.round(choropleth.classes) || 5, 2), 9);
+    const colors = classColors(choropleth, classes);
+
+    if (choropleth.scale === 'quantile') {
+        return d3.scaleQuantile().domain(values).range(colors);
+    }
+
+    const [min, max] = d3.extent(values);
+    if (choropleth.scale === 'diverging') {
+        const mid = Number.isFinite(choropleth.midpoint)
+            ? choropleth.midpoint
+            : (min < 0 && max > 0 ? 0 : d3.median(values));
+        const spread = Math.max(mid - min, max - mid) || 1;
+        return d3.scaleQuantize().domain([mid - spread, mid + spread]).range(colors);
+    }
+
+    return d3.scaleQuantize().domain([min, max === min ? min + 1 : max]).range(colors);
+}
+
+/**
+ * Return mapData with choropleth colors merged into highlightColors.
+ * Data colors win over hand-assigned colors for the same region.
+ * @param {Object} mapData - Map configuration
+ * @returns {Object} Map configuration (a copy if colors were applied)
+ */
+export function applyChoropleth(mapData) {
+    const choropleth = mapData.choropleth;
+    if (!choropleth?.values) return mapData;
+
+    const scale = buildScale(choropleth);
+    if (!scale) return mapData;
+
+    const dataColors = {};
+    Object.entries(choropleth.values).forEach(([code, value]) => {
+        if (Number.isFinite(value)) dataColors[code] = scale(value);
+    });
+
+    return {
+        ...mapData,
+        highlightColors: { ...mapData.highlightColors, ...dataColors }
+    };
+}
+
+/**
+ * Legend entries for a choropleth: one per class, with its value range
+ * @param {Object} mapData - Map configuration
+ * @returns {{title: string, items: Array<{color: string, label: string}>}|null}
+ */
+export function choroplethLegend(mapData) {
+    const choropleth = mapData.choropleth;
+    if (!choropleth?.values) return null;
+
+    const scale = buildScale(choropleth);
+    if (!scale) return null;
+
+    const format = d3.format(',.3~r');
+    const values = Object.values(choropleth.values).filter(Number.isFinite);
+    const [min, max] = d3.extent(values);
+
+    const items = scale.range().map(color => {
+        let [lo, hi] = scale.invertExtent(color);
+        lo = Math.max(lo, min);
+        hi = Math.min(hi, max);
+        return { color, label: `${format(lo)}–${format(hi)}` };
+    });
+
+    return {
+        title: choropleth.title || choropleth.column || '',
+        items
+    };
+}
+
+/**
+ * Parse an uploaded CSV into a dataset keyed by region code. The key column
+ * is the first one named like an ISO_A3 or postal code column, else the
+ * first column; numeric columns are those where most rows parse as numbers.
+ * @param {string} text - CSV text
+ * @returns {{keyColumn: string, rowCount: number, columns: Object.<string, Object.<string, number>>}}
+ */
+export function parseDataset(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || !rows.length) throw new Error('The CSV needs a header row and at least one data row');
+
+    const names = header.map(h => h.trim());
+    const keyIdx = Math.max(names.findIndex(n => KEY_COLUMNS.includes(n.toLowerCase().replace(/[\s_-]/g, ''))), 0);
+
+    const parseNumber = raw => {
+        const cleaned = (raw || '').replace(/[,$%\s]/g, '');
+        return cleaned === '' ? NaN : Number(cleaned);
+    };
+
+    const columns = {};
+    names.forEach((name, idx) => {
+        if (idx === keyIdx || !name) return;
+        const values = {};
+        let numeric = 0;
+        rows.forEach(row => {
+            let code = (row[keyIdx] || '').trim().toUpperCase();
+            // County FIPS codes often lose their leading zero in spreadsheets
+            if (/^\d{4}$/.test(code)) code = code.padStart(5, '0');
+            const value = parseNumber(row[idx]);
+            if (code && Number.isFinite(value)) {
+                values[code] = value;
+                numeric++;
+            }
+        });
+        if (numeric >= rows.length / 2) columns[name] = values;
+    });
+
+    if (!Object.keys(columns).length) throw new Error('The CSV has no numeric columns');
+
+    return {
+        keyColumn: names[keyIdx],
+        rowCount: rows.length,
+        columns
+    };
+}
+
+/**
+ * Describe a dataset for the prompt, so Claude can pick a column
+ * @param {Object} dataset - Parsed dataset
+ * @returns {string} Prompt text
+ */
+export function describeDataset(dataset) {
+    const sampleCodes = Object.keys(Object.values(dataset.columns)[0]).slice(0, 5).join(', ');
+    return `\n\nUPLOADED DATA: ${dataset.rowCount} rows keyed by "${dataset.keyColumn}" (e.g. ${sampleCodes}). ` +
+        `Numeric columns: ${Object.keys(dataset.columns).map(c => `"${c}"`).join(', ')}.`;
+}
+
+/**
+ * Fill in a choropleth spec's values from the uploaded dataset
+ * @param {Object} mapData - Map configuration from Claude
+ * @param {Object|null} dataset - Parsed dataset
+ * @param {Object} [previous] - Prior choropleth block, reused if it shaded the same column
+ * @returns {Object} Map configuration
+ */
+export function attachChoroplethValues(mapData, dataset, previous) {
+    const choropleth = mapData.choropleth;
+    if (!choropleth) return mapData;
+
+    const values = dataset?.columns[choropleth.column]
+        || (previous?.column === choropleth.column ? previous.values : undefined);
+    if (!values) return mapData;
+
+    return {
+        ...mapData,
+        choropleth: { ...choropleth, values }
+    };
+}
+
+/**
+ * Drop choropleth values from a spec before sending it to Claude; they are
+ * reattached from the dataset afterwards
+ * @param {Object} mapData - Map configuration
+ * @returns {Object} Map configuration without choropleth values
+ */
+export function stripChoroplethValues(mapData) {
+    if (!mapData.choropleth?.values) return mapData;
+
+    const { values, ...choropleth } = mapData.choropleth;
+    return { ...mapData, choropleth };
+}
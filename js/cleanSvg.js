@@ -0,0 +1,222 @@
+/**
+ * Clean SVG export, for editing in Illustrator or Inkscape. The rendered
+ * SVG is built for the page and the other exporters; a cleaned copy:
+ * - gives each region an id from its code, in a group named after what its
+ *   fill stands for (the legend caption, e.g. "NATO", or Base/Highlighted/Data),
+ *   so selecting that group selects every NATO country
+ * - groups each city's marker and label, in one Cities layer
+ * - moves repeated styling into CSS classes (graphic styles in Illustrator)
+ * - drops event handlers, layout bookkeeping (data-pos-idx, data-city) and
+ *   empty labels
+ */
+
+// Presentation attributes that become CSS classes
+const STYLE_ATTRIBUTES = ['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'font-family', 'font-size', 'font-weight', 'text-anchor'];
+
+// Class names for each layer's unclassed elements
+const LAYER_CLASSES = {
+    'bounds-layer': 'border',
+    'state-bounds-layer': 'state-border',
+    'disputed_bounds': 'disputed-border',
+    'city-dots': 'city-dot',
+    'city-labels': 'city-label',
+    'country-labels': 'region-label'
+};
+
+// Group names for regions whose fill has no legend caption, by data-role
+const ROLE_GROUPS = {
+    base: 'Base',
+    highlight: 'Highlighted',
+    data: 'Data'
+};
+
+/**
+ * Make a valid XML id or CSS class name from text ('Los Angeles' -> 'Los_Angeles')
+ * @param {string} text - Text
+ * @returns {string} Name
+ */
+function toName(text) {
+    const name = String(text).trim().replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '');
+    return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Make a function that returns ids unique within an SVG
+ * @param {SVGSVGElement} svg - SVG
+ * @returns {function(string): string} Id for a name, suffixed -2, -3... when taken
+ */
+function idMaker(svg) {
+    const used = new Set([...svg.querySelectorAll('[id]')].map(el => el.id));
+    return text => {
+        const base = toName(text);
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        used.add(id);
+        return id;
+    };
+}
+
+/**
+ * Give each region an id and put the regions in groups by what their fill
+ * stands for. Groups follow the drawing order of countries, states and
+ * admin-1 regions, so highlighted states stay on top of their country.
+ * @param {SVGSVGElement} svg - SVG to change
+ * @param {function(string): string} uniqueId - From idMaker
+ */
+function groupRegions(svg, uniqueId) {
+    const layer = svg.querySelector('#regions-layer');
+    if (!layer) return;
+
+    const groups = new Map();
+    [...layer.querySelectorAll('path')].forEach(path => {
+        const code = path.getAttribute('data-code');
+        const name = path.getAttribute('data-name');
+        path.setAttribute('id', uniqueId(code && code !== '-99' ? code : name || 'region'));
+
+        const label = path.getAttribute('data-group') || ROLE_GROUPS[path.getAttribute('data-role')] || 'Regions';
+        const key = `${path.getAttribute('class')}|${label}`;
+        if (!groups.has(key)) {
+            const group = svg.ownerDocument.createElementNS(svg.namespaceURI, 'g');
+            group.setAttribute('id', uniqueId(label));
+            group.setAttribute('data-name', label);
+            groups.set(key, group);
+        }
+        groups.get(key).appendChild(path);
+    });
+
+    groups.forEach(group => layer.appendChild(group));
+}
+
+/**
+ * Move each city's marker and label into a group named after the city, in a
+ * Cities layer that takes the place of the City Dots and City Labels layers
+ * @param {SVGSVGElement} svg - SVG to change
+ * @param {function(string): string} uniqueId - From idMaker
+ */
+function groupCities(svg, uniqueId) {
+    const dotsLayer = svg.querySelector('#city-dots');
+    const labelsLayer = svg.querySelector('#city-labels');
+    if (!dotsLayer || !labelsLayer) return;
+
+    const labels = new Map([...labelsLayer.querySelectorAll('[data-city]')].map(label => [label.getAttribute('data-city'), label]));
+
+    [...dotsLayer.querySelectorAll('[data-city]')].forEach(marker => {
+        const name = marker.getAttribute('data-name') || 'City';
+        const group = svg.ownerDocument.createElementNS(svg.namespaceURI, 'g');
+        group.setAttribute('id', uniqueId(name));
+        group.setAttribute('data-name', name);
+        group.setAttribute('data-role', marker.getAttribute('class') === 'capital-star' ? 'capital' : 'city');
+        marker.replaceWith(group);
+        group.appendChild(marker);
+
+        const label = labels.get(marker.getAttribute('data-city'));
+        if (label) group.appendChild(label);
+    });
+
+    // Labels without a marker stay where they are, in the Cities layer
+    [...labelsLayer.children].forEach(label => dotsLayer.appendChild(label));
+    labelsLayer.remove();
+
+    dotsLayer.setAttribute('id', uniqueId('cities'));
+    dotsLayer.setAttributeNS('http://www.inkscape.org/namespaces/inkscape', 'inkscape:label', 'Cities');
+}
+
+/**
+ * Replace presentation attributes and inline styles with CSS classes, one
+ * per distinct style, named after the element's region group, class or
+ * layer. display: none stays inline: it is a state, not a style.
+ * @param {SVGSVGElement} svg - SVG to change
+ */
+function extractStyles(svg) {
+    const classes = new Map();
+    const counts = new Map();
+
+    svg.querySelectorAll('path, circle, ellipse, rect, line, polyline, polygon, text').forEach(el => {
+        const declarations = [];
+        STYLE_ATTRIBUTES.forEach(name => {
+            if (el.hasAttribute(name)) {
+                declarations.push(`${name}: ${el.getAttribute(name)}`);
+                el.removeAttribute(name);
+            }
+        });
+
+        const inline = [];
+        (el.getAttribute('style') || '').split(';').forEach(rule => {
+            const [name, value] = rule.split(':').map(part => part && part.trim());
+            if (!name || !value) return;
+            if (name !== 'display') declarations.push(`${name}: ${value}`);
+            else if (value === 'none') inline.push('display: none');
+        });
+        if (inline.length) el.setAttribute('style', inline.join('; '));
+        else el.removeAttribute('style');
+
+        if (!declarations.length) return;
+
+        const layer = el.closest('svg > g');
+        const base = toName(layer?.id === 'regions-layer'
+            ? el.getAttribute('data-group') || el.getAttribute('data-role') || 'region'
+            : (el.getAttribute('class') || '').split(' ')[0] || LAYER_CLASSES[layer?.id] || layer?.id || el.tagName);
+
+        const key = `${base}|${declarations.join('; ')}`;
+        if (!classes.has(key)) {
+            const n = (counts.get(base) || 0) + 1;
+            counts.set(base, n);
+            classes.set(key, { name: n > 1 ? `${base}-${n}` : base, declarations });
+        }
+        el.setAttribute('class', classes.get(key).name);
+    });
+
+    if (!classes.size) return;
+
+    const doc = svg.ownerDocument;
+    const defs = doc.createElementNS(svg.namespaceURI, 'defs');
+    const style = doc.createElementNS(svg.namespaceURI, 'style');
+    style.setAttribute('type', 'text/css');
+    style.textContent = '\n' + [...classes.values()]
+        .map(({ name, declarations }) => `.${name} { ${declarations.join('; ')}; }`)
+        .join('\n') + '\n';
+    defs.appendChild(style);
+    svg.insertBefore(defs, svg.firstChild);
+}
+
+/**
+ * Remove event handler attributes, the renderer's bookkeeping attributes,
+ * and labels with no text (regions that are never labelled)
+ * @param {SVGSVGElement} svg - SVG to change
+ */
+function stripBookkeeping(svg) {
+    svg.querySelectorAll('text').forEach(text => {
+        if (!text.textContent) text.remove();
+    });
+
+    [svg, ...svg.querySelectorAll('*')].forEach(el => {
+        [...el.attributes].forEach(({ name }) => {
+            if (/^on/i.test(name) || name === 'data-pos-idx' || name === 'data-city') el.removeAttribute(name);
+        });
+    });
+}
+
+/**
+ * Make a cleaned copy of a rendered map for SVG export. Event listeners
+ * attached by the page (the region tooltips) are not copied.
+ * @param {SVGSVGElement} originalSvg - Rendered map SVG (left unchanged)
+ * @returns {SVGSVGElement} Cleaned copy
+ */
+export function cleanSvg(originalSvg) {
+    const svg = originalSvg.cloneNode(true);
+    const uniqueId = idMaker(svg);
+
+    // A standalone file needs a concrete size rather than 100% (artboards
+    // already have their physical size)
+    if (svg.getAttribute('width') === '100%') {
+        const [, , width, height] = svg.getAttribute('viewBox').split(/[\s,]+/);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+    }
+
+    groupRegions(svg, uniqueId);
+    extractStyles(svg);
+    groupCities(svg, uniqueId);
+    stripBookkeeping(svg);
+    return svg;
+}
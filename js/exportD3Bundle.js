@@ -3,26 +3,11 @@
  */
 
 import { log } from './logger.js';
-
-/**
- * Load GeoJSON data
- * @returns {Promise<Object>} GeoJSON data
- */
-async function loadGeoJSON() {
-    const [countries, countryBounds, states, stateBounds] = await Promise.all([
-        fetch('/geojson/countries.geojson').then(r => r.json()),
-        fetch('/geojson/country_bounds.geojson').then(r => r.json()),
-        fetch('/geojson/US_states.geojson').then(r => r.json()),
-        fetch('/geojson/US_bounds.geojson').then(r => r.json())
-    ]);
-    
-    return {
-        countries,
-        countryBounds,
-        states,
-        stateBounds
-    };
-}
+import { applyChoropleth } from './choropleth.js';
+import { legendFor, drawLegend } from './legend.js';
+import { createProjection, focusBounds, visiblePoint } from './projections.js';
+import { loadAdmin1 } from './admin1.js';
+import { loadBaseLayers, loadJSON } from './geoData.js';
 
 const HTML_TEMPLATE = `<!DOCTYPE html>
 <html>
@@ -30,6 +15,8 @@ const HTML_TEMPLATE = `<!DOCTYPE html>
     <meta charset="utf-8">
     <title>D3.js Map Visualization</title>
     <script src="https://d3js.org/d3.v7.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/d3-geo-projection@4"></script>
+    <script src="https://cdn.jsdelivr.net/npm/topojson-client@3"></script>
     <style>
         body {
             margin: 0;
@@ -83,24 +70,12 @@ function generateVisualizationCode(mapData) {
     const highlightColors = ${JSON.stringify(mapData.highlightColors)};
     const defaultFill = '${mapData.defaultFill}';
     const mapType = '${mapData.mapType}';
+    const isUsMap = mapType === 'us' || mapType === 'county';
     const stateList = ${JSON.stringify(mapData.states || [])};
     const cities = ${JSON.stringify(mapData.cities || [])};
     const showLabels = ${mapData.showLabels};
     const borderColor = '${mapData.borderColor}';
 
-    // Create projection based on map type
-    const projection = mapType === 'us'
-        ? d3.geoAlbersUsa()
-            .scale(width * 0.45)
-            .translate([width / 2, height / 2])
-        : d3.geoEqualEarth()
-            .scale(Math.min(width / 4.6, height / 2.9))
-            .translate([width / 2, height / 2])
-            .rotate([-11, 0]);  // Rotate globe 11° east to wrap Russia around
-
-    // Create path generator
-    const path = d3.geoPath().projection(projection);
-
     // Load GeoJSON data
     const countries = await fetch('src/geojson/countries.geojson').then(r => r.json());
     const states = await fetch('src/geojson/US_states.geojson').then(r => r.json());
@@ -108,9 +83,35 @@ function generateVisualizationCode(mapData) {
     const stateBounds = await fetch('src/geojson/US_bounds.geojson').then(r => r.json());
     const citiesData = await fetch('src/geojson/cities.geojson').then(r => r.json());
     let disputedBounds = null;
-    if (mapType === 'world') {
+    if (!isUsMap) {
         disputedBounds = await fetch('src/geojson/country_disputed_bounds.geojson').then(r => r.json());
     }
+    const admin1 = ${mapData.hasAdmin1}
+        ? (await fetch('src/geojson/admin1.geojson').then(r => r.json())).features
+        : [];
+    let counties = null;
+    let countyLines = null;
+    if (mapType === 'county') {
+        const topology = await fetch('src/geojson/US_counties.topojson').then(r => r.json());
+        counties = topojson.feature(topology, topology.objects.counties).features;
+        countyLines = topojson.mesh(topology, topology.objects.counties, (a, b) => a !== b);
+    }
+
+    // Create projection (same choice and framing as the app)
+    ${focusBounds.toString()}
+    ${createProjection.toString()}
+    ${visiblePoint.toString()}
+    let bounds = null;
+    if (mapType === 'auto') {
+        const highlighted = [...countries.features, ...states.features, ...admin1]
+            .filter(d => highlightColors[d.properties.postal || d.properties.ISO_A3 || d.properties.iso_3166_2]);
+        const cityPoints = citiesData.features.filter(city => cities.some(c => c.name === city.properties.NAME));
+        bounds = focusBounds([...highlighted, ...cityPoints]);
+    }
+    const projection = createProjection(${JSON.stringify({ mapType: mapData.mapType, projection: mapData.projection })}, [[0, 0], [width, height]], bounds);
+
+    // Create path generator
+    const path = d3.geoPath().projection(projection);
 
     // Create SVG with Adobe-specific namespace declarations
     const svg = d3.select('#map')
@@ -174,37 +175,55 @@ function generateVisualizationCode(mapData) {
         .attr('i:rgbTrio', '#4F008000FFFF')
         .attr('i:layerType', 'layer');
 
+    const legendLayer = svg.append('g')
+        .attr('id', 'legend')
+        .attr('i:layer', 'yes')
+        .attr('i:dimmedPercent', '0')
+        .attr('i:rgbTrio', '#4F008000FFFF')
+        .attr('i:layerType', 'layer');
+
     // For US maps, only use state features
     // For world maps, check if we need to include US states
     const hasHighlightedStates = stateList?.some(s => 
         /^[A-Z]{2}$/.test(s.postalCode) && highlightColors?.[s.postalCode]
     );
         
-    const features = mapType === 'us' ? states.features :
+    const features = counties || (isUsMap ? states.features :
         hasHighlightedStates ? 
             [...countries.features.filter(f => f.properties.ISO_A3 !== 'USA'), ...states.features] :
-            countries.features;
+            countries.features);
 
     regionsLayer.selectAll('path')
         .data(features)
         .join('path')
         .attr('d', path)
         .attr('fill', d => {
-            const code = d.properties.postal || d.properties.ISO_A3;
+            // Counties are keyed by their FIPS id
+            const code = d.properties.postal || d.properties.ISO_A3 || d.id;
             return highlightColors[code] || defaultFill;
         })
         .attr('stroke', 'none');  // Remove strokes from regions
 
+    // Highlighted provinces and other admin-1 regions go on top
+    regionsLayer.selectAll('path.admin1-highlight')
+        .data(admin1)
+        .join('path')
+        .attr('class', 'admin1-highlight')
+        .attr('d', path)
+        .attr('fill', d => highlightColors[d.properties.iso_3166_2])
+        .attr('stroke', '#F9F5F1')
+        .attr('stroke-width', '0.5');
+
     boundsLayer.selectAll('path')
-        .data(mapType === 'us' ? stateBounds.features : countryBounds.features)
+        .data(countyLines ? [countyLines] : isUsMap ? stateBounds.features : countryBounds.features)
         .join('path')
         .attr('d', path)
         .attr('fill', 'none')
         .attr('stroke', '#F9F5F1')
-        .attr('stroke-width', '0.5');
+        .attr('stroke-width', countyLines ? '0.25' : '0.5');
             
-    // Draw state bounds in world view
-    if (mapType === 'world' && hasHighlightedStates) {
+    // Draw state bounds in world view, and over the counties on county maps
+    if ((!isUsMap && hasHighlightedStates) || counties) {
         stateBoundsLayer.selectAll('path')
             .data(stateBounds.features)
             .join('path')
@@ -215,7 +234,7 @@ function generateVisualizationCode(mapData) {
     }
 
     // Draw disputed bounds for world maps
-    if (mapType === 'world' && disputedBounds?.features) {
+    if (!isUsMap && disputedBounds?.features) {
         disputedBoundsLayer.selectAll('path')
             .data(disputedBounds.features)
             .join('path')
@@ -231,12 +250,12 @@ function generateVisualizationCode(mapData) {
         const requestedCities = citiesData.features.filter(city => 
             cities.some(c => {
                 // For US maps, only show US cities
-                if (mapType === 'us' && city.properties.ADM0NAME !== 'United States of America') {
+                if (isUsMap && city.properties.ADM0NAME !== 'United States of America') {
                     return false;
                 }
                 return city.properties.NAME === c.name;
             })
-        );
+        ).filter(city => visiblePoint(projection, city.geometry.coordinates));
             
         // City markers (dots or stars)
         // Regular dots
@@ -283,7 +302,7 @@ function generateVisualizationCode(mapData) {
     // Add country/state labels
     if (showLabels) {
         countryLabelsLayer.selectAll('text')
-            .data(features)
+            .data([...features, ...admin1])
             .join('text')
             .attr('x', d => {
                 const centroid = path.centroid(d);
@@ -294,7 +313,7 @@ function generateVisualizationCode(mapData) {
                 return !isNaN(centroid[1]) ? centroid[1] : 0;
             })
             .text(d => {
-                const code = d.properties.postal || d.properties.ISO_A3;
+                const code = d.properties.postal || d.properties.ISO_A3 || d.properties.iso_3166_2 || d.id;
                 return highlightColors[code] ? (d.properties.name || d.properties.NAME) : '';
             })
             .attr('text-anchor', 'middle')
@@ -302,12 +321,17 @@ function generateVisualizationCode(mapData) {
             .attr('fill', '#000000')
             .style('font-weight', 'bold')
             .style('display', d => {
-                const code = d.properties.postal || d.properties.ISO_A3;
+                const code = d.properties.postal || d.properties.ISO_A3 || d.properties.iso_3166_2 || d.id;
                 const centroid = path.centroid(d);
                 return highlightColors[code] && !isNaN(centroid[0]) && !isNaN(centroid[1]) ? 'block' : 'none';
             });
     }
             
+    // Add legend
+    const legend = ${JSON.stringify(mapData.legend || null)};
+    ${drawLegend.toString()}
+    drawLegend(legendLayer, legend, height);
+
     // Add tooltip
     const tooltip = d3.select('body')
         .append('div')
@@ -340,10 +364,14 @@ function generateVisualizationCode(mapData) {
  * Export D3 visualization as standalone bundle
  * @param {HTMLElement} container - Map container element
  * @param {Object} mapData - Map configuration data
+ * @param {Object} [options] - Overrides for exporting outside the page
+ * @param {function(string): Promise<Object>} [options.loadGeoJSON] - GeoJSON loader
+ * @param {string} [options.type='blob'] - JSZip output type (e.g. 'nodebuffer')
  * @returns {Promise<Blob>} Bundle as zip file
  */
-export async function exportBundle(container, mapData) {
+export async function exportBundle(container, mapData, options = {}) {
     try {
+        const load = options.loadGeoJSON || loadJSON;
         const zip = new JSZip();
         
         // Add HTML template
@@ -356,18 +384,29 @@ export async function exportBundle(container, mapData) {
         const svg = container.querySelector('svg');
         if (!svg) throw new Error('No map found to export');
         
+        const highlightColors = applyChoropleth(mapData).highlightColors;
+        const admin1Features = (await loadAdmin1(mapData, load))
+            .filter(d => highlightColors[d.properties.iso_3166_2]);
+
+        // Fallback legend captions name regions as the rendered map does
+        const featureNames = new Map([...svg.querySelectorAll('[data-code][data-name]')]
+            .map(el => [el.getAttribute('data-code'), el.getAttribute('data-name')]));
+
         const visualData = {
             width: container.clientWidth,
             height: container.clientHeight,
             svg: svg.outerHTML,
-            highlightColors: mapData.highlightColors,
+            highlightColors,
+            hasAdmin1: admin1Features.length > 0,
             defaultFill: mapData.defaultFill,
             mapType: mapData.mapType,
+            projection: mapData.projection,
             labels: mapData.labels,
             states: mapData.states,
             cities: mapData.cities,
             showLabels: mapData.showLabels,
-            borderColor: mapData.borderColor
+            borderColor: mapData.borderColor,
+            legend: legendFor(mapData, featureNames)
         };
         
         src.file('visualization.js', generateVisualizationCode(visualData));
@@ -375,15 +414,16 @@ export async function exportBundle(container, mapData) {
         // Create src/geojson directory for GeoJSON files
         const geojsonDir = zip.folder('src/geojson');
         
-        // Load and add GeoJSON files
-        const countriesGeojson = await fetch('/geojson/countries.geojson').then(r => r.json());
-        const statesGeojson = await fetch('/geojson/US_states.geojson').then(r => r.json());
-        const countryBoundsGeojson = await fetch('/geojson/country_bounds.geojson').then(r => r.json());
-        const stateBoundsGeojson = await fetch('/geojson/US_bounds.geojson').then(r => r.json());
-        const citiesGeojson = await fetch('/geojson/cities.geojson').then(r => r.json());
+        // Load the map data and add it as GeoJSON files
+        const layers = await loadBaseLayers(load);
+        const countriesGeojson = layers.countries;
+        const statesGeojson = layers.states;
+        const countryBoundsGeojson = layers.countryBounds;
+        const stateBoundsGeojson = layers.stateBounds;
+        const citiesGeojson = layers.citiesData;
         let disputedBoundsGeojson = null;
-        if (mapData.mapType === 'world') {
-            disputedBoundsGeojson = await fetch('/geojson/country_disputed_bounds.geojson').then(r => r.json());
+        if (!['us', 'county'].includes(mapData.mapType)) {
+            disputedBoundsGeojson = layers.disputedBounds;
         }
         
         // Add GeoJSON files
@@ -395,6 +435,13 @@ export async function exportBundle(container, mapData) {
         if (disputedBoundsGeojson) {
             geojsonDir.file('country_disputed_bounds.geojson', JSON.stringify(disputedBoundsGeojson));
         }
+        if (mapData.mapType === 'county') {
+            geojsonDir.file('US_counties.topojson', JSON.stringify(await load('geojson/US_counties.topojson')));
+        }
+        if (admin1Features.length) {
+            // Only the highlighted provinces; the full per-country files are large
+            geojsonDir.file('admin1.geojson', JSON.stringify({ type: 'FeatureCollection', features: admin1Features }));
+        }
         
         // Add README to root
         zip.file('README.md', `# Testing the bundle
@@ -425,6 +472,8 @@ To embed the map on any web site without using an iframe, follow these steps:
 \`\`\`html
 <div id="map"></div>
 <script src="https://d3js.org/d3.v7.min.js"></script>
+<script src="https://cdn.jsdelivr.net/npm/d3-geo-projection@4"></script>
+<script src="https://cdn.jsdelivr.net/npm/topojson-client@3"></script>
 <link rel="stylesheet" href="css/styles.css">
 <script src="src/visualization.js"></script>
 \`\`\`
@@ -468,7 +517,7 @@ Make sure the paths to the CSS and JavaScript files are correct relative to your
         `);
         
         // Generate bundle
-        return await zip.generateAsync({ type: 'blob' });
+        return await zip.generateAsync({ type: options.type || 'blob' });
         
     } catch (error) {
         log('EXPORT', 'Error exporting bundle', { error });
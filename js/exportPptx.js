@@ -1,11 +1,32 @@
 import { log } from './logger.js';
+import { parsePath } from './svgPath.js';
+
+// Width of renderMap's capital star path in its own units
+const STAR_PATH_WIDTH = 24.69;
+
+// Narrowest box PowerPoint gets for a freeform (a straight border has no height)
+const MIN_SHAPE_SIZE = 0.001;
+
+/**
+ * Slide sizes a template may ask for, in inches
+ */
+export const SLIDE_SIZES = {
+    '16:9': { layout: 'LAYOUT_16x9', width: 10, height: 5.625 },
+    '4:3': { layout: 'LAYOUT_4x3', width: 10, height: 7.5 }
+};
+
+const MASTER_NAME = 'MAP_SLIDE';
+
+// Space kept free above and below the map, as a share of the slide height
+const MAP_MARGIN = 0.05;
 
 /**
  * Export map as PPTX
  * @param {HTMLElement} container - The container element containing the SVG map
  * @param {string} filename - The filename for the exported PPTX
+ * @param {Object} [template] - Slide master (see buildDeck)
  */
-export async function exportPptx(container, filename = 'map.pptx') {
+export async function exportPptx(container, filename = 'map.pptx', template = {}) {
     log('PPTX', 'Starting PPTX export');
     
     try {
@@ -14,222 +35,593 @@ export async function exportPptx(container, filename = 'map.pptx') {
             throw new Error('No SVG found in container');
         }
 
-        // Clone SVG to manipulate it without affecting the display
-        const svg = originalSvg.cloneNode(true);
+        const pres = buildPptx(originalSvg, template);
+
+        // Save
+        await pres.writeFile({ fileName: filename });
+        
+        log('PPTX', 'PPTX export complete');
+        
+    } catch (error) {
+        log('PPTX', 'Error exporting PPTX', { error });
+        throw error;
+    }
+}
+
+/**
+ * Export several maps as one deck, one map per slide
+ * @param {Array<{svg: SVGSVGElement, title?: string}>} slides - Rendered maps, in slide order
+ * @param {string} filename - The filename for the exported PPTX
+ * @param {Object} [template] - Slide master (see buildDeck)
+ */
+export async function exportDeck(slides, filename = 'maps.pptx', template = {}) {
+    log('PPTX', 'Starting deck export', { slides: slides.length });
+
+    try {
+        if (!slides.length) {
+            throw new Error('No maps to export');
+        }
+
+        const pres = buildDeck(slides, template);
+        await pres.writeFile({ fileName: filename });
 
-        // Update default fills for PPTX (#edded1 -> #DBD3CC)
-        const paths = svg.querySelectorAll('path');
-        paths.forEach(path => {
-            const currentFill = path.getAttribute('fill');
-            if (currentFill && currentFill.toLowerCase() === '#edded1') {
-                path.setAttribute('fill', '#DBD3CC');
+        log('PPTX', 'Deck export complete');
+
+    } catch (error) {
+        log('PPTX', 'Error exporting deck', { error });
+        throw error;
+    }
+}
+
+/**
+ * Build a one-slide presentation from a rendered map
+ * @param {SVGSVGElement} originalSvg - Rendered map SVG
+ * @param {Object} [template] - Slide master (see buildDeck)
+ * @returns {PptxGenJS} Presentation, ready to write
+ */
+export function buildPptx(originalSvg, template = {}) {
+    return buildDeck([{ svg: originalSvg }], template);
+}
+
+/**
+ * Build a presentation with one map per slide. Regions, borders and city
+ * markers become native shapes and labels become text boxes, so
+ * everything can be edited in PowerPoint.
+ * @param {Array<{svg: SVGSVGElement, title?: string}>} slides - Rendered maps; title
+ *   overrides the map's own title in the template's title placeholder
+ * @param {Object} [template] - Slide master:
+ *   size: '16:9' (default) or '4:3' (see SLIDE_SIZES)
+ *   fontFace: label and title font (default 'Optima')
+ *   titleFontFace: title font, if different
+ *   background: slide background color ('#rrggbb')
+ *   logo: { data (data URL) or path (URL or file), x, y, w, h } - Image on every slide,
+ *     fitted into its box (default: 1.2 x 0.4 in the bottom-right corner)
+ *   title: true, or { x, y, w, h, fontSize, color } - A title placeholder at the top;
+ *     the map's title goes into it and the map fits below
+ * @returns {PptxGenJS} Presentation, ready to write
+ */
+export function buildDeck(slides, template = {}) {
+    const pres = new PptxGenJS();
+    const master = defineMaster(pres, template);
+    slides.forEach(({ svg, title }) => addMapSlide(pres, master, svg, title));
+    return pres;
+}
+
+/**
+ * Check a slide master
+ * @param {Object} template - Slide master (see buildDeck)
+ * @throws {Error} If it asks for something the exporter can't do
+ */
+export function validateTemplate(template) {
+    if (template.size !== undefined && !SLIDE_SIZES[template.size]) {
+        throw new Error(`Unknown slide size: ${template.size} (expected ${Object.keys(SLIDE_SIZES).join(' or ')})`);
+    }
+    const colors = { background: template.background, 'title.color': template.title?.color };
+    Object.entries(colors).forEach(([field, value]) => {
+        if (value !== undefined && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+            throw new Error(`Template ${field} must be a hex color`);
+        }
+    });
+    if (template.logo !== undefined && !template.logo?.data && !template.logo?.path) {
+        throw new Error('Template logo needs data or path');
+    }
+    const boxes = [['logo', template.logo], ['title', typeof template.title === 'object' ? template.title : null]];
+    boxes.forEach(([name, box]) => {
+        ['x', 'y', 'w', 'h', 'fontSize'].forEach(key => {
+            if (box?.[key] !== undefined && !(Number.isFinite(box[key]) && box[key] >= 0)) {
+                throw new Error(`Template ${name}.${key} must be a non-negative number`);
             }
-            // Update stroke width for export
-            const currentStrokeWidth = path.getAttribute('stroke-width');
-            if (currentStrokeWidth && currentStrokeWidth === '1') {
-                path.setAttribute('stroke-width', '0.5');
+        });
+    });
+}
+
+/**
+ * Set the slide size and define the slide master every map slide uses
+ * @param {PptxGenJS} pres - Presentation
+ * @param {Object} template - Slide master (see buildDeck)
+ * @returns {Object} { width, height, fontFace, titleFontFace, hasTitle, mapArea: { y, h } } in inches
+ */
+function defineMaster(pres, template) {
+    validateTemplate(template);
+
+    const size = SLIDE_SIZES[template.size || '16:9'];
+    pres.layout = size.layout;
+
+    const fontFace = template.fontFace || 'Optima';
+    const titleFontFace = template.titleFontFace || fontFace;
+    const objects = [];
+
+    if (template.logo) {
+        const { data, path, w = 1.2, h = 0.4 } = template.logo;
+        const x = template.logo.x ?? size.width - w - 0.2;
+        const y = template.logo.y ?? size.height - h - 0.15;
+        objects.push({
+            image: { x, y, w, h, ...(data ? { data } : { path }), sizing: { type: 'contain', w, h } }
+        });
+    }
+
+    // The map fits between the title placeholder (if any) and the bottom margin
+    let mapTop = size.height * MAP_MARGIN;
+    if (template.title) {
+        const box = typeof template.title === 'object' ? template.title : {};
+        const title = {
+            x: box.x ?? 0.4,
+            y: box.y ?? 0.25,
+            w: box.w ?? size.width - 0.8,
+            h: box.h ?? 0.6
+        };
+        objects.push({
+            placeholder: {
+                options: {
+                    name: 'title',
+                    type: 'title',
+                    ...title,
+                    fontFace: titleFontFace,
+                    fontSize: box.fontSize || 24,
+                    color: pptxColor(box.color || '#000000'),
+                    bold: true,
+                    align: 'left',
+                    valign: 'middle',
+                    margin: 0
+                },
+                text: ''
             }
         });
+        mapTop = Math.max(mapTop, title.y + title.h);
+    }
+
+    pres.defineSlideMaster({
+        title: MASTER_NAME,
+        ...(template.background ? { background: { color: pptxColor(template.background) } } : {}),
+        objects
+    });
+
+    return {
+        width: size.width,
+        height: size.height,
+        fontFace,
+        titleFontFace,
+        hasTitle: Boolean(template.title),
+        mapArea: { y: mapTop, h: size.height * (1 - MAP_MARGIN) - mapTop }
+    };
+}
+
+/**
+ * Add a slide with one rendered map
+ * @param {PptxGenJS} pres - Presentation
+ * @param {Object} master - Slide master from defineMaster
+ * @param {SVGSVGElement} originalSvg - Rendered map SVG
+ * @param {string} [slideTitle] - Text for the title placeholder (default: the map's title)
+ */
+function addMapSlide(pres, master, originalSvg, slideTitle) {
+    // Clone SVG to manipulate it without affecting the display
+    const svg = originalSvg.cloneNode(true);
+
+    // Update default fills for PPTX (#edded1 -> #DBD3CC)
+    const paths = svg.querySelectorAll('path');
+    paths.forEach(path => {
+        const currentFill = path.getAttribute('fill');
+        if (currentFill && currentFill.toLowerCase() === '#edded1') {
+            path.setAttribute('fill', '#DBD3CC');
+        }
+        // Update stroke width for export
+        const currentStrokeWidth = path.getAttribute('stroke-width');
+        if (currentStrokeWidth && currentStrokeWidth === '1') {
+            path.setAttribute('stroke-width', '0.5');
+        }
+    });
+    
+    // Get SVG dimensions and viewBox
+    const viewBox = svg.getAttribute('viewBox').split(' ').map(parseFloat);
+    const vbX = viewBox[0];
+    const vbY = viewBox[1];
+    const vbW = viewBox[2];
+    const vbH = viewBox[3];
+    
+    // Slide width in inches
+    const slideWidth = master.width;
+
+    // With a title placeholder, the map's title goes into it
+    let placeholderTitle = '';
+    if (master.hasTitle) {
+        const mapTitle = svg.querySelector('#titles .map-title');
+        placeholderTitle = slideTitle || mapTitle?.textContent || '';
+        mapTitle?.remove();
+    }
+    
+    // Extract the title, subtitle and source note; they keep their own sizes
+    const titleElements = [];
+    svg.querySelectorAll('#titles text').forEach(textNode => {
+        if (textNode.textContent) {
+            titleElements.push({
+                text: textNode.textContent,
+                x: parseFloat(textNode.getAttribute('x') || 0),
+                y: parseFloat(textNode.getAttribute('y') || 0),
+                // SVG sizes are in pt at 96dpi; convert to px
+                fontPx: parseFloat(textNode.getAttribute('font-size') || '10') * 4 / 3,
+                color: textNode.getAttribute('fill') || '#000000',
+                bold: textNode.style.fontWeight === 'bold'
+            });
+        }
+        textNode.remove();
+    });
+
+    // Extract text elements
+    const textElements = [];
+    const texts = svg.querySelectorAll('text');
+    
+    texts.forEach(textNode => {
+        // Get attributes
+        const x = parseFloat(textNode.getAttribute('x') || 0);
+        const y = parseFloat(textNode.getAttribute('y') || 0);
+        const textAnchor = textNode.getAttribute('text-anchor') || 'start';
+        const fontSizeStr = textNode.getAttribute('font-size') || '10pt';
+        const fontFamily = textNode.getAttribute('font-family') || 'Arial';
+        const fill = textNode.getAttribute('fill') || '#000000';
+        const fontWeight = textNode.style.fontWeight || 'normal';
+        const content = textNode.textContent;
+        const display = textNode.style.display;
+
+        // Skip hidden text
+        if (display === 'none' || !content) return;
+
+        // Parse font size (assume pt if not specified, or px)
+        // Override user preference to enforce 6pt for PPTX
+        let fontSize = 6;
         
-        // Get SVG dimensions and viewBox
-        const viewBox = svg.getAttribute('viewBox').split(' ').map(parseFloat);
-        const vbX = viewBox[0];
-        const vbY = viewBox[1];
-        const vbW = viewBox[2];
-        const vbH = viewBox[3];
-        
-        // Slide dimensions in inches
-        const slideWidth = 10;
-        const slideHeight = 5.625;
+        let posIdx = null;
+        if (textNode.hasAttribute('data-pos-idx')) {
+            const val = textNode.getAttribute('data-pos-idx');
+            if (val !== null && val !== '' && val !== 'undefined') {
+                posIdx = parseInt(val, 10);
+            }
+        }
         
-        // Extract text elements
-        const textElements = [];
-        const texts = svg.querySelectorAll('text');
+        textElements.push({
+            text: content,
+            x,
+            y,
+            textAnchor,
+            fontSize,
+            fontFamily,
+            color: fill,
+            bold: fontWeight === 'bold',
+            posIdx
+        });
         
-        texts.forEach(textNode => {
-            // Get attributes
-            const x = parseFloat(textNode.getAttribute('x') || 0);
-            const y = parseFloat(textNode.getAttribute('y') || 0);
-            const textAnchor = textNode.getAttribute('text-anchor') || 'start';
-            const fontSizeStr = textNode.getAttribute('font-size') || '10pt';
-            const fontFamily = textNode.getAttribute('font-family') || 'Arial';
-            const fill = textNode.getAttribute('fill') || '#000000';
-            const fontWeight = textNode.style.fontWeight || 'normal';
-            const content = textNode.textContent;
-            const display = textNode.style.display;
-
-            // Skip hidden text
-            if (display === 'none' || !content) return;
-
-            // Parse font size (assume pt if not specified, or px)
-            // Override user preference to enforce 6pt for PPTX
-            let fontSize = 6;
-            
-            let posIdx = null;
-            if (textNode.hasAttribute('data-pos-idx')) {
-                const val = textNode.getAttribute('data-pos-idx');
-                if (val !== null && val !== '' && val !== 'undefined') {
-                    posIdx = parseInt(val, 10);
-                }
-            }
-            
-            textElements.push({
-                text: content,
-                x,
-                y,
-                textAnchor,
-                fontSize,
-                fontFamily,
-                color: fill,
-                bold: fontWeight === 'bold',
-                posIdx
-            });
-            
-            // Remove text from SVG
-            textNode.remove();
+        // Remove text from SVG
+        textNode.remove();
+    });
+
+    // Extract legend swatches; they become native shapes
+    const legendSwatches = [];
+    svg.querySelectorAll('#legend rect').forEach(rect => {
+        legendSwatches.push({
+            x: parseFloat(rect.getAttribute('x') || 0),
+            y: parseFloat(rect.getAttribute('y') || 0),
+            width: parseFloat(rect.getAttribute('width') || 0),
+            height: parseFloat(rect.getAttribute('height') || 0),
+            color: rect.getAttribute('fill') || '#000000'
         });
+        rect.remove();
+    });
 
-        // Serialize the text-free SVG
-        const svgData = new XMLSerializer().serializeToString(svg);
-        const svgBase64 = `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(svgData)))}`;
+    // Extract leader lines; they become native line shapes
+    const leaderLines = [];
+    svg.querySelectorAll('#leader-lines line').forEach(line => {
+        leaderLines.push({
+            x1: parseFloat(line.getAttribute('x1') || 0),
+            y1: parseFloat(line.getAttribute('y1') || 0),
+            x2: parseFloat(line.getAttribute('x2') || 0),
+            y2: parseFloat(line.getAttribute('y2') || 0),
+            color: line.getAttribute('stroke') || '#000000'
+        });
+        line.remove();
+    });
 
-        // Create PPTX
-        const pres = new PptxGenJS();
-        const slide = pres.addSlide();
-        
-        // Add grey ribbon at the top
-        const ribbonHeight = 0.3 * 1.3; // Increase height by 30%
+    // Extract regions and borders; they become native freeform shapes
+    // named after their ISO/postal code, so they can be recolored in PowerPoint
+    const regionShapes = [];
+    svg.querySelectorAll('#regions-layer path').forEach(path => {
+        const code = path.getAttribute('data-code');
+        regionShapes.push(freeformFrom(path, code && code !== '-99' ? code : path.getAttribute('data-name') || 'Region'));
+    });
+
+    const borderShapes = [];
+    [['#bounds-layer', 'Borders'], ['#state-bounds-layer', 'State borders'], ['#disputed_bounds', 'Disputed borders']]
+        .forEach(([selector, name]) => {
+            svg.querySelectorAll(`${selector} path`).forEach(path => borderShapes.push(freeformFrom(path, name)));
+        });
+
+    // Extract city markers; dots become ellipses and capital stars 5-point stars
+    const cityMarkers = [];
+    svg.querySelectorAll('#city-dots circle').forEach(circle => {
+        const r = parseFloat(circle.getAttribute('r') || 0);
+        cityMarkers.push({
+            shape: 'ellipse',
+            name: circle.getAttribute('data-name') || 'City',
+            x: parseFloat(circle.getAttribute('cx') || 0) - r,
+            y: parseFloat(circle.getAttribute('cy') || 0) - r,
+            size: r * 2,
+            color: circle.getAttribute('fill') || '#000000'
+        });
+    });
+    svg.querySelectorAll('#city-dots path.capital-star').forEach(star => {
+        // translate(x, y) scale(k) places the star's top-left corner and sets its size
+        const match = /translate\(\s*([-\d.e]+)[\s,]+([-\d.e]+)\s*\)\s*scale\(\s*([-\d.e]+)\s*\)/
+            .exec(star.getAttribute('transform') || '');
+        if (!match) return;
+        cityMarkers.push({
+            shape: 'star5',
+            name: star.getAttribute('data-name') || 'Capital',
+            x: parseFloat(match[1]),
+            y: parseFloat(match[2]),
+            size: STAR_PATH_WIDTH * parseFloat(match[3]),
+            color: star.getAttribute('fill') || '#000000'
+        });
+    });
+
+    const slide = pres.addSlide({ masterName: MASTER_NAME });
+    if (placeholderTitle) {
+        slide.addText(placeholderTitle, { placeholder: 'title' });
+    }
+
+    // Fit the map into the area the master leaves for it
+    const { mapArea } = master;
+    const scale = Math.min(slideWidth / vbW, mapArea.h / vbH);
+
+    // Calculate offset to center the map
+    const offsetX = (slideWidth - (vbW * scale)) / 2;
+    const offsetY = mapArea.y + (mapArea.h - (vbH * scale)) / 2;
+    const toSlide = { vbX, vbY, scale, offsetX, offsetY };
+
+    // Add regions, then the borders over them
+    [...regionShapes, ...borderShapes].forEach(shape => addFreeform(slide, pres, shape, toSlide));
+
+    // Add city markers
+    cityMarkers.forEach(marker => {
+        slide.addShape(pres.ShapeType[marker.shape], {
+            x: ((marker.x - vbX) * scale) + offsetX,
+            y: ((marker.y - vbY) * scale) + offsetY,
+            w: marker.size * scale,
+            h: marker.size * scale,
+            fill: { color: pptxColor(marker.color) },
+            line: { type: 'none' },
+            objectName: marker.name
+        });
+    });
+
+    // Add legend swatches
+    legendSwatches.forEach(swatch => {
         slide.addShape(pres.ShapeType.rect, {
-            x: 0,
-            y: 0,
-            w: slideWidth,
-            h: ribbonHeight,
-            fill: { color: 'EFEFEF' } // Light grey
+            x: ((swatch.x - vbX) * scale) + offsetX,
+            y: ((swatch.y - vbY) * scale) + offsetY,
+            w: swatch.width * scale,
+            h: swatch.height * scale,
+            fill: { color: pptxColor(swatch.color) },
+            line: { type: 'none' }
         });
+    });
 
-        // Add "Your Map" text on the ribbon
-        // Move label down 5px from original (was 10px, now moved up 5px)
-        slide.addText('Right click your map > “Convert to Shape” to edit it further', {
-            x: 0.2,
-            y: 0.05 + (5 / 72),
-            w: 8,
-            h: 0.2,
-            fontSize: 10,
-            fontFace: 'Optima',
-            color: '333333',
-            bold: true,
+    // Add leader lines. A line shape runs from the top-left to the
+    // bottom-right of its box, so lines the other way are flipped.
+    leaderLines.forEach(line => {
+        slide.addShape(pres.ShapeType.line, {
+            x: ((Math.min(line.x1, line.x2) - vbX) * scale) + offsetX,
+            y: ((Math.min(line.y1, line.y2) - vbY) * scale) + offsetY,
+            w: Math.abs(line.x2 - line.x1) * scale,
+            h: Math.abs(line.y2 - line.y1) * scale,
+            flipH: (line.x2 - line.x1) * (line.y2 - line.y1) < 0,
+            line: { color: pptxColor(line.color), width: 0.5 }
+        });
+    });
+
+    // Add the title block as real, editable text boxes
+    titleElements.forEach(item => {
+        const fontSize = Math.round(item.fontPx * scale * 72 * 2) / 2;
+        const fontSizeInches = fontSize / 72;
+
+        slide.addText(item.text, {
+            x: ((item.x - vbX) * scale) + offsetX,
+            y: ((item.y - vbY) * scale) + offsetY - (fontSizeInches * 0.8),
+            w: (vbW * scale) - (item.x * scale * 2),
+            h: fontSizeInches * 1.5,
+            fontSize,
+            fontFace: master.titleFontFace,
+            color: pptxColor(item.color),
+            bold: item.bold,
             align: 'left',
-            valign: 'middle'
+            valign: 'top',
+            margin: 0,
+            wrap: false
         });
+    });
+
+    // Add text boxes
+    textElements.forEach(item => {
+        // Map alignment
+        let align = 'left';
+        if (item.textAnchor === 'middle') align = 'center';
+        if (item.textAnchor === 'end') align = 'right';
         
-        // Add SVG image (now without text)
-        // Cap total map height to 80% of slide
-        const maxMapHeight = slideHeight * 0.9;
-        const scale = Math.min(slideWidth / vbW, maxMapHeight / vbH);
+        // PPTX text boxes have internal padding that pushes text away from the edge.
+        // We need to aggressively pull them back towards the marker.
+        // 1 pt = 1/72 inch.
+        const fontSizeInches = item.fontSize / 72;
         
-        // Calculate offset to center the map
-        const offsetX = (slideWidth - (vbW * scale)) / 2;
-        const offsetY = ((slideHeight - (vbH * scale)) / 2) + 0.15; // Shift down slightly for ribbon
-
-        slide.addImage({
-            data: svgBase64,
-            x: offsetX,
-            y: offsetY,
-            w: vbW * scale,
-            h: vbH * scale
-        });
+        // Calculate PPTX coordinates
+        const pptxX = ((item.x - vbX) * scale) + offsetX;
+        const pptxY = ((item.y - vbY) * scale) + offsetY;
+        
+        // Aggressive adjustments to force labels closer to markers in PPTX
+        let boxX = pptxX;
+        let adjustedY = pptxY;
 
-        // Add text boxes
-        textElements.forEach(item => {
-            // Map alignment
-            let align = 'left';
-            if (item.textAnchor === 'middle') align = 'center';
-            if (item.textAnchor === 'end') align = 'right';
-            
-            // PPTX text boxes have internal padding that pushes text away from the edge.
-            // We need to aggressively pull them back towards the marker.
-            // 1 pt = 1/72 inch.
-            const fontSizeInches = item.fontSize / 72;
-            
-            // Calculate PPTX coordinates
-            const pptxX = ((item.x - vbX) * scale) + offsetX;
-            const pptxY = ((item.y - vbY) * scale) + offsetY;
-            
-            // Aggressive adjustments to force labels closer to markers in PPTX
-            let boxX = pptxX;
-            let adjustedY = pptxY;
-
-            // Estimate text width in inches (approx 0.6 of font size per char for Optima)
-            const estimatedWidth = (item.text.length * item.fontSize * 0.6) / 72;
-            const boxW = estimatedWidth;
-
-            // Determine "visual" alignment relative to marker based on D3 position index
-            // 0, 2, 5: Label is to the Right of marker (Standard)
-            // 1, 3, 6: Label is to the Left of marker
-            // 4, 7: Label is Centered
-            
-            if (item.posIdx !== null && !isNaN(item.posIdx)) {
-                const isRightSideLabel = [0, 2, 5].includes(item.posIdx);
-                const isLeftSideLabel = [1, 3, 6].includes(item.posIdx);
-
-                if (isRightSideLabel) {
-                    // Label is to the RIGHT of marker.
-                    // Text starts near marker.
-                    // Pull Left (Decrease X) to move closer to marker.
-                    boxX = pptxX - 0.2; 
-                    
-                    // SVG baseline is at bottom, PPTX top is at top. Shift up to align.
-                    adjustedY = pptxY - (fontSizeInches * 0.8);
-                } else if (isLeftSideLabel) {
-                    // Label is to the LEFT of marker.
-                    // Text starts far left. Text ENDs near marker.
-                    // Pull Right (Increase X) to move closer to marker.
-                    boxX = pptxX + 0.2; 
-                    
-                    adjustedY = pptxY - (fontSizeInches * 0.8);
-                } else {
-                    // Center aligned (above/below)
-                    boxX = pptxX;
-                    adjustedY = pptxY - (fontSizeInches * 0.5);
-                }
-            } else {
-                // State/Country label (no posIdx)
-                // Use default positioning based on text-anchor
-                if (align === 'center') {
-                    boxX = pptxX - (boxW / 2);
-                } else if (align === 'right') {
-                    boxX = pptxX - boxW;
-                } else {
-                    boxX = pptxX;
-                }
+        // Estimate text width in inches (approx 0.6 of font size per char for Optima)
+        const estimatedWidth = (item.text.length * item.fontSize * 0.6) / 72;
+        const boxW = estimatedWidth;
+
+        // Determine "visual" alignment relative to marker based on D3 position index
+        // 0, 2, 5: Label is to the Right of marker (Standard)
+        // 1, 3, 6: Label is to the Left of marker
+        // 4, 7: Label is Centered
+        
+        if (item.posIdx !== null && !isNaN(item.posIdx)) {
+            const isRightSideLabel = [0, 2, 5].includes(item.posIdx);
+            const isLeftSideLabel = [1, 3, 6].includes(item.posIdx);
+
+            if (isRightSideLabel) {
+                // Label is to the RIGHT of marker.
+                // Text starts near marker.
+                // Pull Left (Decrease X) to move closer to marker.
+                boxX = pptxX - 0.2; 
+                
+                // SVG baseline is at bottom, PPTX top is at top. Shift up to align.
+                adjustedY = pptxY - (fontSizeInches * 0.8);
+            } else if (isLeftSideLabel) {
+                // Label is to the LEFT of marker.
+                // Text starts far left. Text ENDs near marker.
+                // Pull Right (Increase X) to move closer to marker.
+                boxX = pptxX + 0.2; 
                 
-                // Standard baseline adjustment for labels without D3 collision data
-                adjustedY = pptxY - (fontSizeInches * 0.75);
+                adjustedY = pptxY - (fontSizeInches * 0.8);
+            } else {
+                // Center aligned (above/below)
+                boxX = pptxX;
+                adjustedY = pptxY - (fontSizeInches * 0.5);
+            }
+        } else {
+            // State/Country label (no posIdx)
+            // Use default positioning based on text-anchor
+            if (align === 'center') {
+                boxX = pptxX - (boxW / 2);
+            } else if (align === 'right') {
+                boxX = pptxX - boxW;
+            } else {
+                boxX = pptxX;
             }
+            
+            // Standard baseline adjustment for labels without D3 collision data
+            adjustedY = pptxY - (fontSizeInches * 0.75);
+        }
 
-            slide.addText(item.text, {
-                x: boxX,
-                y: adjustedY,
-                w: boxW + 0.2, // Extra width to prevent premature wrapping due to padding
-                h: fontSizeInches * 1.5,
-                fontSize: item.fontSize,
-                fontFace: 'Optima',
-                color: item.color.replace('#', ''),
-                bold: item.bold,
-                align: align,
-                valign: 'top',
-                margin: 0,
-                wrap: false
-            });
+        slide.addText(item.text, {
+            x: boxX,
+            y: adjustedY,
+            w: boxW + 0.2, // Extra width to prevent premature wrapping due to padding
+            h: fontSizeInches * 1.5,
+            fontSize: item.fontSize,
+            fontFace: master.fontFace,
+            color: pptxColor(item.color),
+            bold: item.bold,
+            align: align,
+            valign: 'top',
+            margin: 0,
+            wrap: false
         });
+    });
+}
 
-        // Save
-        await pres.writeFile({ fileName: filename });
-        
-        log('PPTX', 'PPTX export complete');
-        
-    } catch (error) {
-        log('PPTX', 'Error exporting PPTX', { error });
-        throw error;
-    }
+/**
+ * Convert a CSS hex color to the 6-digit form PptxGenJS takes
+ * @param {string} color - '#rrggbb' or '#rgb'
+ * @returns {string} 'RRGGBB'
+ */
+function pptxColor(color) {
+    const hex = color.replace('#', '');
+    return hex.length === 3 ? hex.replace(/./g, c => c + c) : hex;
+}
+
+/**
+ * Read a rendered path as a freeform shape
+ * @param {SVGPathElement} path - Path element
+ * @param {string} name - Shape name shown in PowerPoint's selection pane
+ * @returns {Object} { name, commands, fill, stroke, strokeWidth, dashed }
+ */
+function freeformFrom(path, name) {
+    const fill = path.getAttribute('fill');
+    const stroke = path.getAttribute('stroke');
+    return {
+        name,
+        commands: parsePath(path.getAttribute('d')),
+        fill: fill && fill !== 'none' ? fill : null,
+        stroke: stroke && stroke !== 'none' ? stroke : null,
+        strokeWidth: parseFloat(path.getAttribute('stroke-width') || 1),
+        dashed: path.hasAttribute('stroke-dasharray')
+    };
+}
+
+/**
+ * Add a freeform shape to a slide, positioned like the map
+ * @param {Object} slide - PptxGenJS slide
+ * @param {PptxGenJS} pres - Presentation
+ * @param {Object} shape - Shape from freeformFrom
+ * @param {Object} toSlide - { vbX, vbY, scale, offsetX, offsetY } from SVG units to inches
+ */
+function addFreeform(slide, pres, shape, { vbX, vbY, scale, offsetX, offsetY }) {
+    if (!shape.commands.length) return;
+
+    // Loop rather than spread: a border mesh can have more points than fit on the stack
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    shape.commands.forEach(([, ...coordinates]) => {
+        for (let i = 0; i < coordinates.length; i += 2) {
+            minX = Math.min(minX, coordinates[i]);
+            minY = Math.min(minY, coordinates[i + 1]);
+            maxX = Math.max(maxX, coordinates[i]);
+            maxY = Math.max(maxY, coordinates[i + 1]);
+        }
+    });
+
+    // Points are in inches from the shape's top-left corner
+    const toX = x => (x - minX) * scale;
+    const toY = y => (y - minY) * scale;
+    const points = shape.commands.map(([type, ...c]) => {
+        if (type === 'Z') return { close: true };
+        if (type === 'C') {
+            return {
+                x: toX(c[4]),
+                y: toY(c[5]),
+                curve: { type: 'cubic', x1: toX(c[0]), y1: toY(c[1]), x2: toX(c[2]), y2: toY(c[3]) }
+            };
+        }
+        return { x: toX(c[0]), y: toY(c[1]), moveTo: type === 'M' };
+    });
+
+    slide.addShape(pres.ShapeType.custGeom, {
+        x: ((minX - vbX) * scale) + offsetX,
+        y: ((minY - vbY) * scale) + offsetY,
+        w: Math.max((maxX - minX) * scale, MIN_SHAPE_SIZE),
+        h: Math.max((maxY - minY) * scale, MIN_SHAPE_SIZE),
+        points,
+        fill: shape.fill ? { color: pptxColor(shape.fill) } : undefined,
+        line: shape.stroke
+            ? {
+                color: pptxColor(shape.stroke),
+                // SVG px to points at the slide's scale
+                width: shape.strokeWidth * scale * 72,
+                dashType: shape.dashed ? 'sysDot' : 'solid'
+            }
+            : { type: 'none' },
+        objectName: shape.name
+    });
 }
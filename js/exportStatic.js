@@ -0,0 +1,627 @@
+/**
+ * Static exports: PNG at a chosen DPI or pixel size, and vector PDF and
+ * EPS. Text is outlined with the label font (see outlineText.js). The
+ * Illustrator layer groups renderMap creates become PDF layers (optional
+ * content groups) and named EPS objects, in the same order.
+ */
+
+import { log } from './logger.js';
+import { parsePath, transformPath, parseTransform, multiply } from './svgPath.js';
+import { loadLabelFonts, outlineText } from './outlineText.js';
+
+// SVG user units are CSS px: 96 per inch, 72 points per inch
+export const CSS_DPI = 96;
+const PT_PER_PX = 72 / CSS_DPI;
+
+export const DEFAULT_PNG_DPI = 300;
+
+// Largest canvas side browsers reliably allow
+const MAX_PNG_SIDE = 16384;
+
+// Namespace of the inkscape:label layer names
+const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+
+// Cubic Bézier handle length for a quarter circle, as a share of the radius
+const KAPPA = 0.5522847498;
+
+/**
+ * Export a rendered map as PNG
+ * @param {HTMLElement} container - The container element containing the SVG map
+ * @param {Object} [options] - See svgToPng
+ * @returns {Promise<Blob>} PNG file
+ */
+export async function exportPng(container, options = {}) {
+    log('EXPORT', 'Starting PNG export', options);
+    try {
+        const svg = await prepareSvg(findSvg(container));
+        const blob = await svgToPng(svg, options);
+        log('EXPORT', 'PNG export complete');
+        return blob;
+    } catch (error) {
+        log('EXPORT', 'Error exporting PNG', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Export a rendered map as PDF
+ * @param {HTMLElement} container - The container element containing the SVG map
+ * @param {Object} [options] - See svgToPdf
+ * @returns {Promise<Blob>} PDF file
+ */
+export async function exportPdf(container, options = {}) {
+    log('EXPORT', 'Starting PDF export', options);
+    try {
+        const svg = await prepareSvg(findSvg(container));
+        const blob = new Blob([svgToPdf(svg, options)], { type: 'application/pdf' });
+        log('EXPORT', 'PDF export complete');
+        return blob;
+    } catch (error) {
+        log('EXPORT', 'Error exporting PDF', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Export a rendered map as EPS
+ * @param {HTMLElement} container - The container element containing the SVG map
+ * @param {Object} [options] - See svgToEps
+ * @returns {Promise<Blob>} EPS file
+ */
+export async function exportEps(container, options = {}) {
+    log('EXPORT', 'Starting EPS export', options);
+    try {
+        const svg = await prepareSvg(findSvg(container));
+        const blob = new Blob([svgToEps(svg, options)], { type: 'application/postscript' });
+        log('EXPORT', 'EPS export complete');
+        return blob;
+    } catch (error) {
+        log('EXPORT', 'Error exporting EPS', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * @param {HTMLElement} container - Map container
+ * @returns {SVGSVGElement} Its SVG
+ */
+function findSvg(container) {
+    const svg = container.querySelector('svg');
+    if (!svg) throw new Error('No SVG found in container');
+    return svg;
+}
+
+/**
+ * Copy a rendered map with its text outlined, ready for the writers below
+ * @param {SVGSVGElement} originalSvg - Rendered map SVG
+ * @param {function(string): Promise<ArrayBuffer>} [readFont] - Font file reader (see loadLabelFonts)
+ * @returns {Promise<SVGSVGElement>} Outlined copy
+ */
+export async function prepareSvg(originalSvg, readFont) {
+    const fonts = await loadLabelFonts(readFont);
+    const svg = originalSvg.cloneNode(true);
+    outlineText(svg, fonts);
+    return svg;
+}
+
+/**
+ * Size of the map in SVG user units (px)
+ * @param {SVGSVGElement} svg - Map SVG
+ * @returns {{x: number, y: number, width: number, height: number}} viewBox
+ */
+function viewBoxOf(svg) {
+    const [x, y, width, height] = svg.getAttribute('viewBox').split(/[\s,]+/).map(parseFloat);
+    return { x, y, width, height };
+}
+
+/**
+ * Pixel size and resolution of a PNG export. An explicit width and/or
+ * height wins over dpi; with only one, the other keeps the aspect ratio.
+ * Maps on a px artboard default to its pixel size rather than to 300 DPI.
+ * @param {SVGSVGElement} svg - Map SVG
+ * @param {Object} options - { dpi, width, height }
+ * @returns {{width: number, height: number, dpi: number}} Size in px and the resolution it amounts to
+ */
+export function pngSize(svg, { dpi, width, height } = {}) {
+    const viewBox = viewBoxOf(svg);
+    const pixelArtboard = /px$/.test(svg.getAttribute('width') || '');
+    let scale = (dpi || (pixelArtboard ? CSS_DPI : DEFAULT_PNG_DPI)) / CSS_DPI;
+    if (width) scale = width / viewBox.width;
+    else if (height) scale = height / viewBox.height;
+
+    const size = {
+        width: Math.round(width || viewBox.width * scale),
+        height: Math.round(height || viewBox.height * scale),
+        dpi: scale * CSS_DPI
+    };
+    if (!(size.width > 0 && size.height > 0) || size.width > MAX_PNG_SIDE || size.height > MAX_PNG_SIDE) {
+        throw new Error(`PNG size ${size.width} × ${size.height} px is out of range (1–${MAX_PNG_SIDE} px a side)`);
+    }
+    return size;
+}
+
+/**
+ * Rasterize an outlined map SVG in the browser
+ * @param {SVGSVGElement} svg - SVG from prepareSvg
+ * @param {Object} [options]
+ * @param {number} [options.dpi] - Resolution (1 SVG px = 1/96 in; default 300, or 96 on a px artboard)
+ * @param {number} [options.width] - Width in px, instead of dpi
+ * @param {number} [options.height] - Height in px, instead of dpi
+ * @param {string} [options.background='transparent'] - 'transparent' or a CSS color
+ * @returns {Promise<Blob>} PNG file, tagged with its resolution
+ */
+export async function svgToPng(svg, options = {}) {
+    const { width, height, dpi } = pngSize(svg, options);
+    const background = options.background || 'transparent';
+
+    const copy = svg.cloneNode(true);
+    copy.setAttribute('width', width);
+    copy.setAttribute('height', height);
+    const markup = new XMLSerializer().serializeToString(copy);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        if (background !== 'transparent') {
+            context.fillStyle = background;
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(image, 0, 0, width, height);
+
+        const png = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+        });
+        return new Blob([setPngDpi(new Uint8Array(await png.arrayBuffer()), dpi)], { type: 'image/png' });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// CRC-32 table for PNG chunks
+let crcTable = null;
+
+/**
+ * @param {Uint8Array} bytes - Chunk type and data
+ * @returns {number} CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Record a resolution in a PNG (its pHYs chunk), so print layouts place it
+ * at the right size
+ * @param {Uint8Array} png - PNG file
+ * @param {number} dpi - Resolution
+ * @returns {Uint8Array} PNG file with a pHYs chunk after IHDR
+ */
+export function setPngDpi(png, dpi) {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset < png.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        const end = offset + 12 + length;
+        if (type !== 'pHYs') chunks.push({ type, bytes: png.subarray(offset, end) });
+        offset = end;
+    }
+
+    const perMeter = Math.round(dpi / 0.0254);
+    const phys = new Uint8Array(21);
+    const physView = new DataView(phys.buffer);
+    physView.setUint32(0, 9);
+    phys.set([0x70, 0x48, 0x59, 0x73], 4);  // 'pHYs'
+    physView.setUint32(8, perMeter);
+    physView.setUint32(12, perMeter);
+    phys[16] = 1;  // unit: meter
+    physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+    const parts = [png.subarray(0, 8)];
+    chunks.forEach(chunk => {
+        parts.push(chunk.bytes);
+        if (chunk.type === 'IHDR') parts.push(phys);
+    });
+
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        out.set(part, position);
+        position += part.length;
+    });
+    return out;
+}
+
+/**
+ * Parse a CSS color into 0–1 RGB
+ * @param {string} color - '#rgb', '#rrggbb', 'rgb(r, g, b)' or 'black'/'white'
+ * @returns {Array<number>|null} [r, g, b], or null for none
+ */
+function parseColor(color) {
+    if (!color || color === 'none' || color === 'transparent') return null;
+    if (color === 'white') return [1, 1, 1];
+    if (color === 'black') return [0, 0, 0];
+
+    let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+    if (match) {
+        let hex = match[1];
+        if (hex.length === 3) hex = hex.replace(/./g, c => c + c);
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+    match = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(color.trim());
+    if (match) return match.slice(1, 4).map(v => Number(v) / 255);
+
+    return [0, 0, 0];
+}
+
+/**
+ * Read a presentation attribute, falling back to the inline style
+ * @param {Element} element - SVG element
+ * @param {string} name - Attribute name (e.g. 'stroke-width')
+ * @returns {string|null} Value, or null if unset
+ */
+function paintAttribute(element, name) {
+    return element.getAttribute(name) || element.style?.getPropertyValue(name) || null;
+}
+
+/**
+ * Outline commands for a drawable SVG element, in its own coordinates
+ * @param {Element} element - path, circle, ellipse, rect, line or polyline/polygon
+ * @returns {Array<Array>|null} Path commands, or null for anything else
+ */
+function elementCommands(element) {
+    const number = name => parseFloat(element.getAttribute(name) || 0);
+
+    switch (element.tagName.toLowerCase()) {
+        case 'path':
+            return parsePath(element.getAttribute('d'));
+        case 'circle':
+        case 'ellipse': {
+            const cx = number('cx');
+            const cy = number('cy');
+            const rx = element.hasAttribute('r') ? number('r') : number('rx');
+            const ry = element.hasAttribute('r') ? number('r') : number('ry');
+            const kx = rx * KAPPA;
+            const ky = ry * KAPPA;
+            return [
+                ['M', cx + rx, cy],
+                ['C', cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+                ['C', cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+                ['C', cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+                ['C', cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+                ['Z']
+            ];
+        }
+        case 'rect': {
+            const x = number('x');
+            const y = number('y');
+            const w = number('width');
+            const h = number('height');
+            return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+        }
+        case 'line':
+            return [['M', number('x1'), number('y1')], ['L', number('x2'), number('y2')]];
+        case 'polyline':
+        case 'polygon': {
+            const values = (element.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+            const commands = [];
+            for (let i = 0; i + 1 < values.length; i += 2) {
+                commands.push([i ? 'L' : 'M', values[i], values[i + 1]]);
+            }
+            if (element.tagName.toLowerCase() === 'polygon') commands.push(['Z']);
+            return commands;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Collect an SVG's drawing as layers of filled and stroked outlines. Each
+ * top-level group is a layer, named by its inkscape:label (or id);
+ * anything outside the groups goes into an unnamed layer of its own.
+ * Fill and stroke are inherited from enclosing groups, as in SVG.
+ * @param {SVGSVGElement} svg - Outlined map SVG
+ * @returns {Array<{name: string, shapes: Array<Object>}>} Layers, bottom first. Shapes are
+ *   { commands (in SVG user units), fill, stroke ([r, g, b] or null), strokeWidth, dash, evenOdd }
+ */
+function collectLayers(svg) {
+    const layers = [];
+    const inherited = { fill: '#000000', stroke: 'none', 'stroke-width': '1', 'stroke-dasharray': 'none', 'fill-rule': 'nonzero' };
+
+    const walk = (element, matrix, paint, shapes) => {
+        if (element.style?.display === 'none' || element.getAttribute('display') === 'none') return;
+
+        const own = { ...paint };
+        Object.keys(own).forEach(name => {
+            const value = paintAttribute(element, name);
+            if (value) own[name] = value;
+        });
+        const transform = multiply(matrix, parseTransform(element.getAttribute('transform')));
+
+        const tag = element.tagName.toLowerCase();
+        if (tag === 'g' || tag === 'svg') {
+            [...element.children].forEach(child => walk(child, transform, own, shapes));
+            return;
+        }
+
+        const commands = elementCommands(element);
+        if (!commands?.length) return;
+
+        const fill = tag === 'line' || tag === 'polyline' ? null : parseColor(own.fill);
+        const stroke = parseColor(own.stroke);
+        if (!fill && !stroke) return;
+
+        // Stroke widths scale with the transform's average scale
+        const scale = Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2]));
+        const dash = own['stroke-dasharray'] === 'none'
+            ? null
+            : own['stroke-dasharray'].split(/[\s,]+/).map(v => parseFloat(v) * scale);
+
+        shapes.push({
+            commands: transformPath(commands, transform),
+            fill,
+            stroke,
+            strokeWidth: parseFloat(own['stroke-width']) * scale,
+            dash,
+            evenOdd: own['fill-rule'] === 'evenodd'
+        });
+    };
+
+    let loose = null;
+    [...svg.children].forEach(child => {
+        if (child.tagName.toLowerCase() === 'g') {
+            const shapes = [];
+            walk(child, [1, 0, 0, 1, 0, 0], inherited, shapes);
+            layers.push({ name: child.getAttributeNS(INKSCAPE_NS, 'label') || child.id || `Layer ${layers.length + 1}`, shapes });
+            loose = null;
+        } else {
+            if (!loose) {
+                loose = { name: `Layer ${layers.length + 1}`, shapes: [] };
+                layers.push(loose);
+            }
+            walk(child, [1, 0, 0, 1, 0, 0], inherited, loose.shapes);
+        }
+    });
+
+    return layers;
+}
+
+/**
+ * Format a number for PDF/PostScript
+ * @param {number} n - Number
+ * @returns {string} Up to 2 decimals, no exponent
+ */
+function num(n) {
+    const rounded = Math.round(n * 100) / 100;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Draw collected layers with PDF/PostScript-style operators. Both formats
+ * share the path operators; only the names of the painting operators differ.
+ * @param {Array<Object>} layers - From collectLayers
+ * @param {Object} page - { x, y, height } viewBox origin and page height in pt
+ * @param {Object} ops - Operator names and layer wrappers for the format
+ * @returns {string} Drawing commands
+ */
+function drawLayers(layers, page, ops) {
+    // SVG px (y down) to page points (y up)
+    const px = x => num((x - page.x) * PT_PER_PX);
+    const py = y => num(page.height - (y - page.y) * PT_PER_PX);
+    const color = rgb => rgb.map(num).join(' ');
+
+    const out = [];
+    layers.forEach((layer, index) => {
+        out.push(ops.beginLayer(layer, index));
+
+        // Current state, so it's only set when it changes
+        let fill = null, stroke = null, width = null, dash = null;
+
+        layer.shapes.forEach(shape => {
+            if (shape.fill && color(shape.fill) !== fill) {
+                fill = color(shape.fill);
+                out.push(`${fill} ${ops.fillColor}`);
+            }
+            if (shape.stroke) {
+                if (color(shape.stroke) !== stroke) {
+                    stroke = color(shape.stroke);
+                    out.push(`${stroke} ${ops.strokeColor}`);
+                }
+                const w = num(shape.strokeWidth * PT_PER_PX);
+                if (w !== width) {
+                    width = w;
+                    out.push(`${w} ${ops.lineWidth}`);
+                }
+                const d = shape.dash ? shape.dash.map(v => num(v * PT_PER_PX)).join(' ') : '';
+                if (d !== dash) {
+                    dash = d;
+                    out.push(`[${d}] 0 ${ops.dash}`);
+                }
+            }
+
+            const path = [];
+            shape.commands.forEach(([type, ...c]) => {
+                if (type === 'M') path.push(`${px(c[0])} ${py(c[1])} ${ops.moveTo}`);
+                else if (type === 'L') path.push(`${px(c[0])} ${py(c[1])} ${ops.lineTo}`);
+                else if (type === 'C') path.push(`${px(c[0])} ${py(c[1])} ${px(c[2])} ${py(c[3])} ${px(c[4])} ${py(c[5])} ${ops.curveTo}`);
+                else path.push(ops.closePath);
+            });
+            out.push(path.join('\n'));
+
+            if (shape.fill && shape.stroke) out.push(shape.evenOdd ? ops.fillStrokeEvenOdd : ops.fillStroke);
+            else if (shape.fill) out.push(shape.evenOdd ? ops.fillEvenOdd : ops.fill);
+            else out.push(ops.stroke);
+        });
+
+        out.push(ops.endLayer(layer, index));
+    });
+
+    return out.join('\n');
+}
+
+/**
+ * Escape a string for a PDF or PostScript literal
+ * @param {string} text - Text
+ * @returns {string} (text) with \, ( and ) escaped and non-ASCII replaced
+ */
+function literal(text) {
+    return `(${String(text).replace(/[\\()]/g, c => `\\${c}`).replace(/[^\x20-\x7e]/g, '?')})`;
+}
+
+/**
+ * Page size in points and an optional background, shared by PDF and EPS
+ * @param {SVGSVGElement} svg - Map SVG
+ * @param {string} [background] - CSS color, or none
+ * @returns {Object} { viewBox, width, height, background: [r, g, b] or null }
+ */
+function pageOf(svg, background) {
+    const viewBox = viewBoxOf(svg);
+    return {
+        viewBox,
+        width: viewBox.width * PT_PER_PX,
+        height: viewBox.height * PT_PER_PX,
+        background: parseColor(background)
+    };
+}
+
+/**
+ * Write an outlined map SVG as a one-page vector PDF, with one PDF layer
+ * (optional content group) per map layer
+ * @param {SVGSVGElement} svg - SVG from prepareSvg
+ * @param {Object} [options]
+ * @param {string} [options.background] - Page color (default none: transparent)
+ * @param {string} [options.title] - Document title
+ * @returns {Uint8Array} PDF file
+ */
+export function svgToPdf(svg, { background, title } = {}) {
+    const page = pageOf(svg, background);
+    const layers = collectLayers(svg);
+
+    // Objects 1-4 are the catalog, page tree, page and content stream; the layers follow
+    const layerRef = index => `${5 + index} 0 R`;
+    let content = drawLayers(layers, { x: page.viewBox.x, y: page.viewBox.y, height: page.height }, {
+        moveTo: 'm', lineTo: 'l', curveTo: 'c', closePath: 'h',
+        fill: 'f', fillEvenOdd: 'f*', stroke: 'S', fillStroke: 'B', fillStrokeEvenOdd: 'B*',
+        fillColor: 'rg', strokeColor: 'RG', lineWidth: 'w', dash: 'd',
+        beginLayer: (layer, index) => `/OC /L${index} BDC`,
+        endLayer: () => 'EMC'
+    });
+    if (page.background) {
+        content = `${page.background.map(num).join(' ')} rg\n0 0 ${num(page.width)} ${num(page.height)} re\nf\n${content}`;
+    }
+
+    const layerRefs = layers.map((layer, index) => layerRef(index)).join(' ');
+    const properties = layers.map((layer, index) => `/L${index} ${layerRef(index)}`).join(' ');
+    const objects = [
+        `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${layerRefs}] /D << /Order [${layerRefs}] /ON [${layerRefs}] >> >> >>`,
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] /Contents 4 0 R /Resources << /Properties << ${properties} >> >> >>`,
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        ...layers.map(layer => `<< /Type /OCG /Name ${literal(layer.name)} >>`),
+        `<< /Producer (Map Generator)${title ? ` /Title ${literal(title)}` : ''} >>`
+    ];
+
+    // Everything written is ASCII apart from the binary marker, so string length is byte length
+    let pdf = '%PDF-1.5\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i);
+    return bytes;
+}
+
+/**
+ * Write an outlined map SVG as EPS. Each map layer is a self-contained
+ * block marked with %%BeginObject/%%EndObject and its name.
+ * @param {SVGSVGElement} svg - SVG from prepareSvg
+ * @param {Object} [options]
+ * @param {string} [options.background] - Page color (default none)
+ * @param {string} [options.title] - Document title
+ * @returns {string} EPS file
+ */
+export function svgToEps(svg, { background, title } = {}) {
+    const page = pageOf(svg, background);
+    const layers = collectLayers(svg);
+
+    const body = drawLayers(layers, { x: page.viewBox.x, y: page.viewBox.y, height: page.height }, {
+        moveTo: 'm', lineTo: 'l', curveTo: 'c', closePath: 'h',
+        fill: 'f', fillEvenOdd: 'f*', stroke: 'S', fillStroke: 'B', fillStrokeEvenOdd: 'B*',
+        fillColor: 'rg', strokeColor: 'RG', lineWidth: 'w', dash: 'd',
+        beginLayer: layer => `%%BeginObject: ${layer.name.replace(/[^\x20-\x7e]/g, '?')}\ngsave newpath`,
+        endLayer: () => 'grestore\n%%EndObject'
+    });
+
+    // PostScript has one current color, so fill and stroke colors are kept
+    // in variables and set just before painting
+    const prolog = [
+        '/m /moveto load def',
+        '/l /lineto load def',
+        '/c /curveto load def',
+        '/h /closepath load def',
+        '/w /setlinewidth load def',
+        '/d /setdash load def',
+        '/rg { 3 array astore /fillcolor exch def } def',
+        '/RG { 3 array astore /strokecolor exch def } def',
+        '/f { fillcolor aload pop setrgbcolor fill } def',
+        '/f* { fillcolor aload pop setrgbcolor eofill } def',
+        '/S { strokecolor aload pop setrgbcolor stroke } def',
+        '/B { gsave f grestore S } def',
+        '/B* { gsave f* grestore S } def',
+        '0 0 0 rg 0 0 0 RG'
+    ].join('\n');
+
+    const backgroundFill = page.background
+        ? `${page.background.map(num).join(' ')} setrgbcolor\n0 0 ${num(page.width)} ${num(page.height)} rectfill\n`
+        : '';
+
+    return [
+        '%!PS-Adobe-3.0 EPSF-3.0',
+        '%%Creator: Map Generator',
+        `%%Title: ${literal(title || 'Map')}`,
+        `%%BoundingBox: 0 0 ${Math.ceil(page.width)} ${Math.ceil(page.height)}`,
+        `%%HiResBoundingBox: 0 0 ${num(page.width)} ${num(page.height)}`,
+        '%%LanguageLevel: 2',
+        '%%Pages: 1',
+        '%%EndComments',
+        '%%BeginProlog',
+        '/MapGeneratorDict 20 dict def',
+        'MapGeneratorDict begin',
+        prolog,
+        'end',
+        '%%EndProlog',
+        '%%Page: 1 1',
+        'MapGeneratorDict begin',
+        backgroundFill + body,
+        'end',
+        'showpage',
+        '%%Trailer',
+        '%%EOF',
+        ''
+    ].join('\n');
+}
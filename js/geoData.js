@@ -0,0 +1,252 @@
+/**
+ * Base map data. Everything comes from one TopoJSON file,
+ * geojson/world.topojson (built by `npm run build:data`); borders and
+ * coastlines are meshes of the fills' arcs, so they always line up.
+ *
+ * Files and the layers built from them are loaded once per page and
+ * shared by every render and export. In the browser, parsed files are
+ * also kept in IndexedDB and revalidated with their ETag, so a reload
+ * doesn't download or parse them again unless they changed.
+ */
+
+import { log } from './logger.js';
+
+export const TOPOLOGY_PATH = 'geojson/world.topojson';
+
+const DB_NAME = 'map-generator-data';
+const DB_STORE = 'files';
+
+// path -> Promise of parsed JSON
+const fileCache = new Map();
+
+// loader -> Promise of base layers / county layers
+const layerCache = new WeakMap();
+const countyCache = new WeakMap();
+
+// feature -> [[west, south], [east, north]]
+const boundsCache = new WeakMap();
+
+// feature -> [lon, lat]
+const centroidCache = new WeakMap();
+
+let databasePromise = null;
+
+/**
+ * Open the IndexedDB file store, or resolve to null where there is none
+ * @returns {Promise<IDBDatabase|null>} Database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            // Private browsing and the like: carry on without persistence
+            request.onerror = () => resolve(null);
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Run one request against the file store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - Store operation
+ * @returns {Promise<*>} Request result, or undefined if IndexedDB is unavailable or fails
+ */
+async function withStore(mode, operation) {
+    const db = await openDatabase();
+    if (!db) return undefined;
+
+    return new Promise(resolve => {
+        try {
+            const request = operation(db.transaction(DB_STORE, mode).objectStore(DB_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(undefined);
+        } catch (error) {
+            resolve(undefined);
+        }
+    });
+}
+
+/**
+ * Fetch and parse a JSON file, reusing the IndexedDB copy if the server
+ * says it hasn't changed
+ * @param {string} path - Path relative to the page (e.g. 'geojson/cities.geojson')
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJSON(path) {
+    log('D3', 'Loading GeoJSON', { type: path });
+
+    const stored = await withStore('readonly', store => store.get(path));
+    const response = await fetch(path, stored?.etag ? { headers: { 'If-None-Match': stored.etag } } : undefined);
+
+    if (response.status === 304 && stored) {
+        return stored.data;
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const etag = response.headers.get('ETag');
+    if (etag) {
+        withStore('readwrite', store => store.put({ etag, data }, path));
+    }
+    return data;
+}
+
+/**
+ * Load a JSON file once per page; concurrent and later calls share it
+ * @param {string} path - Path relative to the page (e.g. 'geojson/cities.geojson')
+ * @returns {Promise<Object>} Parsed JSON
+ */
+export function loadJSON(path) {
+    if (!fileCache.has(path)) {
+        const loading = fetchJSON(path);
+        loading.catch(error => {
+            log('D3', 'Error loading GeoJSON', { error: error.message, path });
+            fileCache.delete(path);
+        });
+        fileCache.set(path, loading);
+    }
+    return fileCache.get(path);
+}
+
+/**
+ * Geographic bounds of a feature, computed once per feature
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array<Array<number>>} [[west, south], [east, north]]
+ */
+export function featureBounds(feature) {
+    if (!boundsCache.has(feature)) {
+        boundsCache.set(feature, d3.geoBounds(feature));
+    }
+    return boundsCache.get(feature);
+}
+
+/**
+ * Geographic centroid of a feature, computed once per feature
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array<number>} [lon, lat]
+ */
+export function featureCentroid(feature) {
+    if (!centroidCache.has(feature)) {
+        centroidCache.set(feature, d3.geoCentroid(feature));
+    }
+    return centroidCache.get(feature);
+}
+
+/**
+ * Quick test of whether a point may lie in a feature, from its bounds
+ * (for narrowing candidates before d3.geoContains)
+ * @param {Object} feature - GeoJSON feature
+ * @param {Array<number>} point - [lon, lat]
+ * @returns {boolean} False only if the point is certainly outside
+ */
+export function mayContain(feature, point) {
+    const [[west, south], [east, north]] = featureBounds(feature);
+    if (point[1] < south || point[1] > north) return false;
+    // Bounds that cross the antimeridian have west > east
+    return west <= east
+        ? point[0] >= west && point[0] <= east
+        : point[0] >= west || point[0] <= east;
+}
+
+/**
+ * Land borders and coastline of a topology object, as a two-feature
+ * FeatureCollection (the shape of the *_bounds.geojson files)
+ * @param {Object} topology - Topology
+ * @param {Object} object - Topology object (e.g. topology.objects.countries)
+ * @returns {Object} FeatureCollection
+ */
+function boundsCollection(topology, object) {
+    return {
+        type: 'FeatureCollection',
+        features: [
+            // a !== b: arcs shared by two features, i.e. land borders
+            { type: 'Feature', properties: { kind: 'border' }, geometry: topojson.mesh(topology, object, (a, b) => a !== b) },
+            // a === b: arcs of one feature only, i.e. coastlines
+            { type: 'Feature', properties: { kind: 'coastline' }, geometry: topojson.mesh(topology, object, (a, b) => a === b) }
+        ]
+    };
+}
+
+/**
+ * Turn the world topology into the layers renderMap draws
+ * @param {Object} topology - Parsed world.topojson
+ * @returns {Object} { countries, states, countryBounds, stateBounds, citiesData, disputedBounds }
+ */
+function layersFromTopology(topology) {
+    const { countries, states, cities, disputed } = topology.objects;
+
+    return {
+        countries: topojson.feature(topology, countries),
+        states: topojson.feature(topology, states),
+        countryBounds: boundsCollection(topology, countries),
+        stateBounds: boundsCollection(topology, states),
+        citiesData: topojson.feature(topology, cities),
+        disputedBounds: topojson.feature(topology, disputed)
+    };
+}
+
+/**
+ * Load the base layers: countries, US states, their borders, cities and
+ * disputed borders. Built once per loader and shared; callers must not
+ * modify the features.
+ * @param {function(string): Promise<Object>} [load=loadJSON] - JSON loader (path relative to the site root)
+ * @returns {Promise<Object>} { countries, states, countryBounds, stateBounds, citiesData, disputedBounds }
+ */
+export function loadBaseLayers(load = loadJSON) {
+    return buildOnce(layerCache, load, buildBaseLayers);
+}
+
+/**
+ * Load the US counties (us-atlas TopoJSON), keyed by 5-digit FIPS code.
+ * Built once per loader and shared, like loadBaseLayers.
+ * @param {function(string): Promise<Object>} [load=loadJSON] - JSON loader (path relative to the site root)
+ * @returns {Promise<Object>} { counties: Array of features (properties.fips), countyLines: border mesh }
+ */
+export function loadCounties(load = loadJSON) {
+    return buildOnce(countyCache, load, async () => {
+        const topology = await load('geojson/US_counties.topojson');
+        const counties = topojson.feature(topology, topology.objects.counties).features;
+        counties.forEach(d => { d.properties.fips = d.id; });
+        const countyLines = topojson.mesh(topology, topology.objects.counties, (a, b) => a !== b);
+        return { counties, countyLines };
+    });
+}
+
+/**
+ * Run a build once per loader, forgetting it if it fails so it can be retried
+ * @param {WeakMap} cache - loader -> Promise
+ * @param {function(string): Promise<Object>} load - JSON loader
+ * @param {function(function): Promise<Object>} build - Build from the loader
+ * @returns {Promise<Object>} Build result
+ */
+function buildOnce(cache, load, build) {
+    if (!cache.has(load)) {
+        const building = build(load);
+        building.catch(() => cache.delete(load));
+        cache.set(load, building);
+    }
+    return cache.get(load);
+}
+
+/**
+ * Load the base layers from the topology
+ * @param {function(string): Promise<Object>} load - JSON loader
+ * @returns {Promise<Object>} Base layers (see loadBaseLayers)
+ */
+async function buildBaseLayers(load) {
+    try {
+        return layersFromTopology(await load(TOPOLOGY_PATH));
+    } catch (error) {
+        log('D3', 'Error loading world topology', { error: error.message, path: TOPOLOGY_PATH });
+        throw error;
+    }
+}
@@ -1,15 +1,22 @@
 /**
  * D3-Labeler - Automatic label placement using simulated annealing
  * Based on https://github.com/tinker10/D3-Labeler
- * Modified for map label collision avoidance with fixed anchor support
+ * Modified for map label collision avoidance with fixed anchor support,
+ * tunable weights and a pluggable random number generator
  */
 
-(function() {
-
-d3.labeler = function() {
+/**
+ * Create a labeler. Set labels ({ x, y, width, height }, x/y = baseline
+ * start) and anchors ({ x, y, r }), then start(nsweeps) moves the labels
+ * in place.
+ * @returns {Object} Labeler
+ */
+export function labeler() {
     var lab = [],
         anc = [],
         fixedAnchors = [], // Additional fixed obstacles (like state labels)
+        x0 = 0,             // extent labels must stay within
+        y0 = 0,
         w = 1,
         h = 1,
         labeler = {};
@@ -17,7 +24,8 @@ d3.labeler = function() {
     var max_move = 3.0,     // Reduced to keep labels closer
         max_angle = 0.3,    // Reduced rotation range
         acc = 0,
-        rej = 0;
+        rej = 0,
+        random = Math.random;
 
     // weights
     var w_len = 0.3,        // leader line length - keep labels reasonably close
@@ -33,7 +41,7 @@ d3.labeler = function() {
     var user_defined_energy, 
         user_defined_schedule;
 
-    energy = function(index) {
+    var energy = function(index) {
         var m = lab.length, 
             ener = 0,
             dx = lab[index].x - anc[index].x,
@@ -118,8 +126,8 @@ d3.labeler = function() {
         return ener;
     };
 
-    mcmove = function(currT) {
-        var i = Math.floor(Math.random() * lab.length); 
+    var mcmove = function(currT) {
+        var i = Math.floor(random() * lab.length); 
 
         var x_old = lab[i].x;
         var y_old = lab[i].y;
@@ -128,14 +136,14 @@ d3.labeler = function() {
         if (user_energy) { old_energy = user_defined_energy(i, lab, anc); }
         else { old_energy = energy(i); }
 
-        lab[i].x += (Math.random() - 0.5) * max_move;
-        lab[i].y += (Math.random() - 0.5) * max_move;
+        lab[i].x += (random() - 0.5) * max_move;
+        lab[i].y += (random() - 0.5) * max_move;
 
         // hard wall boundaries
         if (lab[i].x > w) lab[i].x = x_old;
-        if (lab[i].x < 0) lab[i].x = x_old;
+        if (lab[i].x < x0) lab[i].x = x_old;
         if (lab[i].y > h) lab[i].y = y_old;
-        if (lab[i].y < 0) lab[i].y = y_old;
+        if (lab[i].y < y0) lab[i].y = y_old;
 
         var new_energy;
         if (user_energy) { new_energy = user_defined_energy(i, lab, anc); }
@@ -143,7 +151,7 @@ d3.labeler = function() {
 
         var delta_energy = new_energy - old_energy;
 
-        if (Math.random() < Math.exp(-delta_energy / currT)) {
+        if (random() < Math.exp(-delta_energy / currT)) {
             acc += 1;
         } else {
             lab[i].x = x_old;
@@ -152,8 +160,8 @@ d3.labeler = function() {
         }
     };
 
-    mcrotate = function(currT) {
-        var i = Math.floor(Math.random() * lab.length); 
+    var mcrotate = function(currT) {
+        var i = Math.floor(random() * lab.length); 
 
         var x_old = lab[i].x;
         var y_old = lab[i].y;
@@ -162,7 +170,7 @@ d3.labeler = function() {
         if (user_energy) { old_energy = user_defined_energy(i, lab, anc); }
         else { old_energy = energy(i); }
 
-        var angle = (Math.random() - 0.5) * max_angle;
+        var angle = (random() - 0.5) * max_angle;
         var s = Math.sin(angle);
         var c = Math.cos(angle);
 
@@ -177,9 +185,9 @@ d3.labeler = function() {
 
         // hard wall boundaries
         if (lab[i].x > w) lab[i].x = x_old;
-        if (lab[i].x < 0) lab[i].x = x_old;
+        if (lab[i].x < x0) lab[i].x = x_old;
         if (lab[i].y > h) lab[i].y = y_old;
-        if (lab[i].y < 0) lab[i].y = y_old;
+        if (lab[i].y < y0) lab[i].y = y_old;
 
         var new_energy;
         if (user_energy) { new_energy = user_defined_energy(i, lab, anc); }
@@ -187,7 +195,7 @@ d3.labeler = function() {
 
         var delta_energy = new_energy - old_energy;
 
-        if (Math.random() < Math.exp(-delta_energy / currT)) {
+        if (random() < Math.exp(-delta_energy / currT)) {
             acc += 1;
         } else {
             lab[i].x = x_old;
@@ -196,7 +204,7 @@ d3.labeler = function() {
         }
     };
 
-    intersect = function(x1, x2, x3, x4, y1, y2, y3, y4) {
+    var intersect = function(x1, x2, x3, x4, y1, y2, y3, y4) {
         var mua, mub;
         var denom, numera, numerb;
 
@@ -212,32 +220,7 @@ d3.labeler = function() {
         return false;
     };
     
-    // Check if a line segment intersects a rectangle
-    lineIntersectsRect = function(x1, y1, x2, y2, rx1, ry1, rx2, ry2) {
-        // Check if line intersects any of the 4 edges of the rectangle
-        // Top edge
-        if (lineIntersectsLine(x1, y1, x2, y2, rx1, ry1, rx2, ry1)) return true;
-        // Bottom edge
-        if (lineIntersectsLine(x1, y1, x2, y2, rx1, ry2, rx2, ry2)) return true;
-        // Left edge
-        if (lineIntersectsLine(x1, y1, x2, y2, rx1, ry1, rx1, ry2)) return true;
-        // Right edge
-        if (lineIntersectsLine(x1, y1, x2, y2, rx2, ry1, rx2, ry2)) return true;
-        return false;
-    };
-    
-    // Check if two line segments intersect
-    lineIntersectsLine = function(x1, y1, x2, y2, x3, y3, x4, y4) {
-        var denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
-        if (Math.abs(denom) < 0.0001) return false; // parallel
-        
-        var ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
-        var ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
-        
-        return ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1;
-    };
-
-    cooling_schedule = function(currT, initialT, nsweeps) {
+    var cooling_schedule = function(currT, initialT, nsweeps) {
         return (currT - (initialT / nsweeps));
     };
 
@@ -248,10 +231,11 @@ d3.labeler = function() {
 
         for (var i = 0; i < nsweeps; i++) {
             for (var j = 0; j < m; j++) { 
-                if (Math.random() < 0.5) { mcmove(currT); }
+                if (random() < 0.5) { mcmove(currT); }
                 else { mcrotate(currT); }
             }
-            currT = cooling_schedule(currT, initialT, nsweeps);
+            currT = user_schedule ? user_defined_schedule(currT, initialT, nsweeps)
+                : cooling_schedule(currT, initialT, nsweeps);
         }
         return labeler;
     };
@@ -268,6 +252,16 @@ d3.labeler = function() {
         return labeler;
     };
 
+    // [[x0, y0], [x1, y1]] labels must stay within; width and height set x1 and y1
+    labeler.extent = function(x) {
+        if (!arguments.length) return [[x0, y0], [w, h]];
+        x0 = x[0][0];
+        y0 = x[0][1];
+        w = x[1][0];
+        h = x[1][1];
+        return labeler;
+    };
+
     labeler.label = function(x) {
         if (!arguments.length) return lab;
         lab = x;
@@ -286,6 +280,27 @@ d3.labeler = function() {
         return labeler;
     };
 
+    // Energy weights; only the given ones change
+    labeler.weights = function(x) {
+        if (!arguments.length) {
+            return { w_len, w_inter, w_lab2, w_lab_anc, w_fixed, w_leader_cross };
+        }
+        if (x.w_len !== undefined) w_len = x.w_len;
+        if (x.w_inter !== undefined) w_inter = x.w_inter;
+        if (x.w_lab2 !== undefined) w_lab2 = x.w_lab2;
+        if (x.w_lab_anc !== undefined) w_lab_anc = x.w_lab_anc;
+        if (x.w_fixed !== undefined) w_fixed = x.w_fixed;
+        if (x.w_leader_cross !== undefined) w_leader_cross = x.w_leader_cross;
+        return labeler;
+    };
+
+    // Random number generator in [0, 1); pass a seeded one for repeatable results
+    labeler.random = function(x) {
+        if (!arguments.length) return random;
+        random = x;
+        return labeler;
+    };
+
     labeler.alt_energy = function(x) {
         if (!arguments.length) return energy;
         user_defined_energy = x;
@@ -301,6 +316,50 @@ d3.labeler = function() {
     };
 
     return labeler;
-};
+}
 
-})();
+/**
+ * Check if a line segment intersects a rectangle's edges
+ * @returns {boolean} True if segment (x1, y1)-(x2, y2) crosses the edge of rectangle (rx1, ry1)-(rx2, ry2)
+ */
+export function lineIntersectsRect(x1, y1, x2, y2, rx1, ry1, rx2, ry2) {
+    // Check if line intersects any of the 4 edges of the rectangle
+    // Top edge
+    if (lineIntersectsLine(x1, y1, x2, y2, rx1, ry1, rx2, ry1)) return true;
+    // Bottom edge
+    if (lineIntersectsLine(x1, y1, x2, y2, rx1, ry2, rx2, ry2)) return true;
+    // Left edge
+    if (lineIntersectsLine(x1, y1, x2, y2, rx1, ry1, rx1, ry2)) return true;
+    // Right edge
+    if (lineIntersectsLine(x1, y1, x2, y2, rx2, ry1, rx2, ry2)) return true;
+    return false;
+}
+
+/**
+ * Check if two line segments intersect
+ * @returns {boolean} True if segments (x1, y1)-(x2, y2) and (x3, y3)-(x4, y4) cross
+ */
+export function lineIntersectsLine(x1, y1, x2, y2, x3, y3, x4, y4) {
+    var denom = (y4 - y3) * (x2 - x1) - (x4 - x3) * (y2 - y1);
+    if (Math.abs(denom) < 0.0001) return false; // parallel
+
+    var ua = ((x4 - x3) * (y1 - y3) - (y4 - y3) * (x1 - x3)) / denom;
+    var ub = ((x2 - x1) * (y1 - y3) - (y2 - y1) * (x1 - x3)) / denom;
+
+    return ua >= 0 && ua <= 1 && ub >= 0 && ub <= 1;
+}
+
+/**
+ * Seeded random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+export function seededRandom(seed) {
+    let t = seed >>> 0;
+    return function() {
+        t = (t + 0x6D2B79F5) >>> 0;
+        let r = Math.imul(t ^ (t >>> 15), 1 | t);
+        r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+        return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+}
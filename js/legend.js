@@ -0,0 +1,123 @@
+// Legend content and drawing, shared by the on-page renderer, headless
+// renders and the D3 bundle
+
+import { choroplethLegend } from './choropleth.js';
+
+// Region names listed in a fallback caption before it says "and N more"
+const MAX_FALLBACK_NAMES = 3;
+
+/**
+ * Caption for a highlight color the legend has no caption for: the names of
+ * the regions that use it ('Texas, Ohio and 2 more'). Names come from the
+ * rendered features (county, province and country names alike), then from
+ * mapData.states; a region neither names is listed by its code.
+ * @param {Object} mapData - Map configuration
+ * @param {string} key - Lower-cased color
+ * @param {Map<string, string>} featureNames - Region code -> rendered feature name
+ * @returns {string} Caption
+ */
+function fallbackCaption(mapData, key, featureNames) {
+    const stateNames = new Map((mapData.states || [])
+        .filter(s => s?.postalCode)
+        .map(s => [s.postalCode, s.state || s.name]));
+    const regions = Object.entries(mapData.highlightColors || {})
+        .filter(([, color]) => (color || '').toLowerCase() === key)
+        .map(([code]) => featureNames.get(code) || stateNames.get(code) || code);
+
+    if (regions.length <= MAX_FALLBACK_NAMES) return regions.join(', ');
+    return `${regions.slice(0, MAX_FALLBACK_NAMES).join(', ')} and ${regions.length - MAX_FALLBACK_NAMES} more`;
+}
+
+/**
+ * Legend entries for a map. Choropleth classes come first; then, when the
+ * map has a legend, one entry per distinct hand-assigned highlight color in
+ * the order the colors first appear, captioned from mapData.legend or else
+ * with the regions that use it.
+ * @param {Object} mapData - Map configuration (before choropleth colors are applied)
+ * @param {Map<string, string>} [featureNames] - Region code -> name of the rendered feature, for fallback captions
+ * @returns {{title: string, items: Array<{color: string, label: string}>}|null}
+ */
+export function legendFor(mapData, featureNames = new Map()) {
+    const choropleth = choroplethLegend(mapData);
+    const items = choropleth ? [...choropleth.items] : [];
+
+    const captions = new Map();
+    (mapData.legend || []).forEach(entry => {
+        if (entry?.color && entry.label) captions.set(entry.color.toLowerCase(), entry.label);
+    });
+
+    if (captions.size) {
+        const seen = new Set(items.map(item => item.color.toLowerCase()));
+        seen.add((mapData.defaultFill || '').toLowerCase());
+        Object.values(mapData.highlightColors || {}).forEach(color => {
+            const key = (color || '').toLowerCase();
+            if (!key || seen.has(key)) return;
+            seen.add(key);
+            items.push({ color, label: captions.get(key) || fallbackCaption(mapData, key, featureNames) });
+        });
+    }
+
+    if (!items.length) return null;
+    return {
+        title: choropleth?.title || '',
+        items
+    };
+}
+
+/**
+ * Draw a legend into its layer, anchored to the lower-left corner. Kept
+ * self-contained: the D3 bundle embeds this function's source.
+ * @param {d3.Selection} layer - Legend layer group
+ * @param {{title: string, items: Array<{color: string, label: string}>}} legend - Legend content
+ * @param {number} height - SVG height
+ */
+export function drawLegend(layer, legend, height) {
+    if (!legend || !legend.items || !legend.items.length) return;
+
+    const swatchWidth = 10;
+    const swatchHeight = 7;
+    const rowHeight = 10;
+    const margin = 10;
+
+    const titleHeight = legend.title ? rowHeight + 2 : 0;
+    const top = height - margin - titleHeight - legend.items.length * rowHeight;
+
+    if (legend.title) {
+        layer.append('text')
+            .attr('class', 'legend-title')
+            .attr('x', margin)
+            .attr('y', top + rowHeight - 2)
+            .text(legend.title)
+            .attr('font-family', 'Optima, sans-serif')
+            .attr('font-size', '6pt')
+            .attr('fill', '#000000')
+            .style('font-weight', 'bold');
+    }
+
+    // Absolute coordinates (no group transforms) so exporters can read
+    // positions straight off each element
+    const rowTop = i => top + titleHeight + i * rowHeight;
+
+    layer.selectAll('rect.legend-swatch')
+        .data(legend.items)
+        .join('rect')
+        .attr('class', 'legend-swatch')
+        .attr('x', margin)
+        .attr('y', (d, i) => rowTop(i))
+        .attr('width', swatchWidth)
+        .attr('height', swatchHeight)
+        .attr('fill', d => d.color)
+        .attr('stroke', 'none');
+
+    layer.selectAll('text.legend-label')
+        .data(legend.items)
+        .join('text')
+        .attr('class', 'legend-label')
+        .attr('x', margin + swatchWidth + 4)
+        .attr('y', (d, i) => rowTop(i) + swatchHeight - 1)
+        .text(d => d.label)
+        .attr('font-family', 'Optima, sans-serif')
+        .attr('font-size', '6pt')
+        .attr('fill', '#000000')
+        .style('font-weight', 'normal');
+}
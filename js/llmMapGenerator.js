@@ -1,6 +1,9 @@
 import { log } from './logger.js';
+import { CHOROPLETH_SCALES } from './choropleth.js';
+import { MAP_TYPES, PROJECTIONS } from './projections.js';
+import { LABEL_STRATEGIES } from './mapLayout.js';
 
-const SYSTEM_PROMPT = `You are a D3.js map visualization expert. Create map visualizations based on the user's request.
+export const SYSTEM_PROMPT = `You are a D3.js map visualization expert. Create map visualizations based on the user's request.
 
 AVAILABLE GEOJSON FILES AND THEIR FIELDS:
 1. countries.geojson:
@@ -34,8 +37,42 @@ REGION HANDLING:
 - IMPORTANT: Only put actual US states (like "Texas", "California") into the "states" array. Do NOT put the "United States" or "USA" into the "states" array.
 - IMPORTANT: Hong Kong and Macau are NOT separate countries in the GeoJSON - they are part of China. To label them, use the cities array with a dot marker. To highlight their territory, highlight China (CHN).
 - For US-only maps: Use mapType: "us". Only include states, no countries.
+- For maps of one part of the world, use a regional mapType so the area fills the frame: "europe", "africa", "asia", "latam" (Latin America and the Caribbean) or "middle-east". Regional maps use country ISO_A3 codes just like "world".
+- If the highlighted countries and cities sit in a smaller or different area (e.g. ASEAN, the Nordics, the Horn of Africa), use mapType: "auto"; the map is framed to fit them.
+- Use "world" only when the map spans several continents or the user asks for a world map.
+- For US county-level maps (elections, sales territories, "counties in ..."), use mapType: "county". Counties are keyed by their 5-digit FIPS code (state FIPS + county FIPS, e.g. Los Angeles County "06037", Cook County IL "17031") in "states" and "highlightColors". State borders are drawn over the counties automatically.
+
+PROVINCES AND OTHER ADMIN-1 REGIONS:
+- Outside the US, provinces, states, regions and Länder use ISO 3166-2 codes as postalCode and highlightColors keys, e.g. Ontario "CA-ON", Quebec "CA-QC", Maharashtra "IN-MH", Guangdong "CN-GD", Bavaria "DE-BY".
+- Put them in the "states" array like US states and use a world, regional or "auto" mapType (e.g. "Ontario and Quebec in blue" -> "auto" with CA-ON and CA-QC). Never use mapType "us" for them.
+- US states keep their 2-letter postal codes (e.g. "TX", not "US-TX").
 - LABELING: The "showLabels" field controls country and state labels. If the user says "dont label countries" or "only label cities", you MUST set "showLabels" to false.
 
+TITLES:
+- If the user gives a title, subtitle, or source/credit line (e.g. "title it 'ASEAN members', source: ASEAN Secretariat"), put the text in "title", "subtitle" and "source". "source" is the full line as it should appear, e.g. "Source: ASEAN Secretariat".
+- Do not invent titles or sources the user did not ask for.
+
+LEGEND:
+- When highlight colors stand for groups (e.g. ASEAN in green, NATO in blue) or the user asks for a legend, set "legend" to one {"color", "label"} entry per distinct highlight color, e.g. [{"color": "#96bc95", "label": "ASEAN"}, {"color": "#89a9cc", "label": "NATO"}].
+- The color must be exactly the hex used in highlightColors. Omit "legend" for single highlights or when the user says no legend.
+
+CHOROPLETHS:
+- If the request includes "UPLOADED DATA" and the user asks to shade or color regions by one of its columns, set "choropleth": {"column": <exact column name>, "scale": "sequential" | "diverging" | "quantile", "classes": <number of classes, default 5>, "color": <one of the color names below, default "blue">, "title": <short legend title>}.
+- Use "diverging" for above/below, gain/loss or change around zero; "quantile" for quantiles, quintiles or equal-count classes; otherwise "sequential".
+- The renderer colors every region in the data and draws a legend. Do NOT also list those regions in highlightColors.
+- Without uploaded data, omit "choropleth".
+
+PROJECTION:
+- Omit "projection" unless the user asks for one or the framing needs it; the default is Albers USA for "us", Equal Earth for "world", and a projection suited to the area for regional and "auto" maps.
+- Otherwise set "projection": {"name": <projection>, "rotate": [lambda, phi], "center": [lon, lat], "parallels": [lat1, lat2], "scale": <zoom, 1 = whole map>}. Only "name" is required.
+- Examples: "Robinson projection" -> {"name": "robinson"}; "globe centered on Brazil" -> {"name": "orthographic", "center": [-52, -10]}; "Europe in a conic projection" -> {"name": "conicConformal", "center": [15, 52], "parallels": [40, 65], "scale": 10}.
+
+LABEL PLACEMENT:
+- Omit "labelPlacement" unless the user asks about label overlap or placement; the default places each city label at the best of 8 spots around its marker.
+- For dense city maps where the user wants fewer overlaps, set "labelPlacement": {"strategy": "annealing-after-greedy"}. "annealing" alone ignores the 8 spots.
+- Only set "weights" ({"w_len": label distance, "w_lab2": label overlap, "w_fixed": overlap with country labels}), "sweeps" or "seed" if the user asks for them.
+- Labels that can't fit (Singapore, Luxembourg, crowded Caribbean cities) are moved to open space with a leader line. Set "callouts": false only if the user says no leader lines or callouts.
+
 COLOR PREFERENCES:
 - Default fill color: "#edded1"; any country not specifically colored by user gets this color
 - Default border color: "#ffffff"
@@ -372,48 +409,21 @@ const RETRY_DELAY = 1000;
 const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Generate map data using Claude API
- * @param {string} description - User's map description
- * @returns {Promise<Object>} Map configuration
+ * Validate a MapData spec against the render_map contract
+ * @param {Object} mapData - Map configuration to check
+ * @throws {Error} If the spec is missing fields or has invalid values
  */
-export async function generateMapData(description) {
-log('CLAUDE', 'Generating map data', { description });
-
-let lastError;
-for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-try {
-const response = await fetch('/api/claude', {
-method: 'POST',
-headers: {
-'Content-Type': 'application/json'
-},
-body: JSON.stringify({
-description,
-system: SYSTEM_PROMPT
-})
-});
-
-if (!response.ok) {
-throw new Error(`API request failed: ${response.status}`);
-}
-
-const data = await response.json();
-
-// Extract content from Claude's tool use response
-const toolUse = data.content.find(c => c.type === 'tool_use');
-if (!toolUse) {
-throw new Error('Claude did not use the render_map tool');
+export function validateMapData(mapData) {
+if (!mapData || typeof mapData !== 'object' || Array.isArray(mapData)) {
+throw new Error('Map data must be an object');
 }
 
-const mapData = toolUse.input;
-
-// Validate response structure
 if (!mapData.mapType || !mapData.states) {
-throw new Error('Invalid response structure from Claude');
+throw new Error('Map data must include mapType and states');
 }
 
-if (!['us', 'world'].includes(mapData.mapType)) {
-throw new Error('Invalid map type from Claude');
+if (!MAP_TYPES.includes(mapData.mapType)) {
+throw new Error(`Invalid map type: ${mapData.mapType}`);
 }
 
 if (!Array.isArray(mapData.states)) {
@@ -422,7 +432,7 @@ throw new Error('States must be an array');
 
 for (const state of mapData.states) {
 if (!state.state || !state.postalCode || !state.label) {
-throw new Error('Missing required state fields');
+throw new Error(`Missing required state fields (state, postalCode, label): ${JSON.stringify(state)}`);
 }
 }
 
@@ -430,6 +440,115 @@ if (!mapData.defaultFill || !mapData.highlightColors || !mapData.borderColor) {
 throw new Error('Missing required color fields');
 }
 
+for (const field of ['title', 'subtitle', 'source']) {
+if (mapData[field] !== undefined && typeof mapData[field] !== 'string') {
+throw new Error(`${field} must be a string`);
+}
+}
+
+if (mapData.legend !== undefined) {
+if (!Array.isArray(mapData.legend) || mapData.legend.some(e => typeof e?.color !== 'string' || typeof e?.label !== 'string')) {
+throw new Error('Legend must be an array of { color, label } entries');
+}
+}
+
+if (mapData.projection !== undefined) {
+validateProjection(mapData);
+}
+
+if (mapData.labelPlacement !== undefined) {
+validateLabelPlacement(mapData.labelPlacement);
+}
+
+if (mapData.choropleth !== undefined) {
+const { scale, values } = mapData.choropleth || {};
+if (!CHOROPLETH_SCALES.includes(scale)) {
+throw new Error(`Choropleth scale must be one of ${CHOROPLETH_SCALES.join(', ')}`);
+}
+if (values !== undefined && (typeof values !== 'object' || Object.values(values).some(v => typeof v !== 'number'))) {
+throw new Error('Choropleth values must map region codes to numbers');
+}
+}
+}
+
+/**
+ * Validate the optional projection override
+ * @param {Object} mapData - Map configuration with a projection field
+ * @throws {Error} If the projection is not usable
+ */
+export function validateProjection(mapData) {
+const { name, rotate, center, parallels, scale } = mapData.projection || {};
+const isPair = (value, min = 2) => Array.isArray(value) && value.length >= min && value.length <= 3 && value.every(Number.isFinite);
+
+if (!PROJECTIONS.includes(name)) {
+throw new Error(`Projection must be one of ${PROJECTIONS.join(', ')}`);
+}
+if (name === 'albersUsa' && !['us', 'county'].includes(mapData.mapType)) {
+throw new Error('The albersUsa projection only works for US maps');
+}
+if (rotate !== undefined && !isPair(rotate)) {
+throw new Error('Projection rotate must be [lambda, phi] in degrees');
+}
+if (center !== undefined && !(isPair(center) && center.length === 2)) {
+throw new Error('Projection center must be [longitude, latitude]');
+}
+if (parallels !== undefined && !(isPair(parallels) && parallels.length === 2)) {
+throw new Error('Projection parallels must be two latitudes');
+}
+if (scale !== undefined && !(Number.isFinite(scale) && scale > 0)) {
+throw new Error('Projection scale must be a positive number');
+}
+}
+
+/**
+ * Validate the optional label placement settings
+ * @param {Object} placement - mapData.labelPlacement
+ * @throws {Error} If the settings are not usable
+ */
+export function validateLabelPlacement(placement) {
+if (!placement || typeof placement !== 'object' || Array.isArray(placement)) {
+throw new Error('labelPlacement must be an object');
+}
+
+const { strategy, weights, sweeps, seed, callouts } = placement;
+if (strategy !== undefined && !LABEL_STRATEGIES.includes(strategy)) {
+throw new Error(`Label placement strategy must be one of ${LABEL_STRATEGIES.join(', ')}`);
+}
+if (weights !== undefined) {
+const names = ['w_len', 'w_lab2', 'w_fixed'];
+if (!weights || typeof weights !== 'object' || Object.entries(weights).some(([name, value]) =>
+!names.includes(name) || !Number.isFinite(value) || value < 0)) {
+throw new Error(`Label placement weights must be non-negative numbers named ${names.join(', ')}`);
+}
+}
+if (sweeps !== undefined && !(Number.isInteger(sweeps) && sweeps > 0 && sweeps <= 10000)) {
+throw new Error('Label placement sweeps must be an integer from 1 to 10000');
+}
+if (seed !== undefined && !Number.isInteger(seed)) {
+throw new Error('Label placement seed must be an integer');
+}
+if (callouts !== undefined && typeof callouts !== 'boolean') {
+throw new Error('Label placement callouts must be true or false');
+}
+}
+
+/**
+ * Pull the render_map input out of a Claude response and validate it
+ * @param {Object} data - Claude messages API response body
+ * @returns {Object} Map configuration
+ */
+export function readRenderMapResult(data) {
+// Extract content from Claude's tool use response
+const toolUse = data.content?.find(c => c.type === 'tool_use');
+if (!toolUse) {
+throw new Error('Claude did not use the render_map tool');
+}
+
+const mapData = toolUse.input;
+
+// Validate response structure
+validateMapData(mapData);
+
 log('CLAUDE', 'Validated map data', mapData);
 
 // Respect the showLabels from the LLM, but default to true if not provided
@@ -437,7 +556,18 @@ if (mapData.showLabels === undefined) {
 mapData.showLabels = true;
 }
 return mapData;
+}
 
+/**
+ * Run a task, retrying with a delay when it throws
+ * @param {function(): Promise<*>} task - Task to run
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetries(task) {
+let lastError;
+for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+try {
+return await task();
 } catch (error) {
 lastError = error;
 log('CLAUDE', 'Request error', { 
@@ -456,3 +586,61 @@ await sleep(RETRY_DELAY);
 
 throw lastError;
 }
+
+/**
+ * Send a request to the Claude proxy and validate the render_map result
+ * @param {Object} payload - Request body fields (description, previous)
+ * @returns {Promise<Object>} Map configuration
+ */
+async function requestMapData(payload) {
+return withRetries(async () => {
+const response = await fetch('/api/claude', {
+method: 'POST',
+headers: {
+'Content-Type': 'application/json'
+},
+body: JSON.stringify({
+...payload,
+system: SYSTEM_PROMPT
+})
+});
+
+if (!response.ok) {
+throw new Error(`API request failed: ${response.status}`);
+}
+
+return readRenderMapResult(await response.json());
+});
+}
+
+/**
+ * Generate map data using Claude API
+ * @param {string} description - User's map description
+ * @returns {Promise<Object>} Map configuration
+ */
+export async function generateMapData(description) {
+log('CLAUDE', 'Generating map data', { description });
+
+return requestMapData({ description });
+}
+
+/**
+ * Refine an existing map with a follow-up instruction.
+ * The previous spec is replayed to Claude as its own render_map call,
+ * so unchanged parts of the map carry over.
+ * @param {Object} mapData - Current map configuration
+ * @param {string} instruction - Follow-up edit (e.g. "now make Texas blue too")
+ * @param {string} [description] - Prompt that produced the current map
+ * @returns {Promise<Object>} Updated map configuration
+ */
+export async function refineMapData(mapData, instruction, description) {
+log('CLAUDE', 'Refining map data', { instruction, description });
+
+return requestMapData({
+description: instruction,
+previous: {
+description,
+mapData
+}
+});
+}
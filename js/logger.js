@@ -17,6 +17,9 @@ export function log(type, action, data) {
     console.log(`[${timestamp}] ${type} - ${action}`);
     if (data) console.log(JSON.stringify(data, null, 2));
     
+    // Headless renders (server, CLI) have no page to send logs from
+    if (typeof window === 'undefined') return;
+    
     // Send to server
     fetch('/log', {
         method: 'POST',
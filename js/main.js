@@ -1,7 +1,13 @@
-import { generateMapData } from './llmMapGenerator.js';
+import { generateMapData, refineMapData, validateMapData } from './llmMapGenerator.js';
 import { renderMap } from './mapVisualization.js';
 import { exportBundle } from './exportD3Bundle.js';
-import { exportPptx } from './exportPptx.js';
+import { exportPptx, exportDeck } from './exportPptx.js';
+import { exportPng, exportPdf, exportEps } from './exportStatic.js';
+import { cleanSvg } from './cleanSvg.js';
+import { resolveArtboard } from './artboard.js';
+import { createPermalink, readPermalink } from './permalink.js';
+import { saveMap, listMaps, getMap, deleteMap } from './mapHistory.js';
+import { parseDataset, describeDataset, attachChoroplethValues, stripChoroplethValues } from './choropleth.js';
 import { log } from './logger.js';
 
 // Store current map data
@@ -13,6 +19,30 @@ const mapContainer2 = document.getElementById('map2');
 const mapContainer3 = document.getElementById('map3');
 const generateButton = document.getElementById('generate');
 const descriptionInput = document.getElementById('description');
+const historyList = document.getElementById('history-list');
+const dataFileInput = document.getElementById('data-file');
+const dataStatus = document.getElementById('data-status');
+const batchFileInput = document.getElementById('batch-file');
+const runBatchButton = document.getElementById('run-batch');
+const batchStatus = document.getElementById('batch-status');
+const deckSizeSelect = document.getElementById('deck-size');
+const deckFontInput = document.getElementById('deck-font');
+const deckTitleCheckbox = document.getElementById('deck-title');
+const deckLogoInput = document.getElementById('deck-logo');
+const exportDeckVariantsButton = document.getElementById('export-deck-variants');
+const exportDeckSavedButton = document.getElementById('export-deck-saved');
+const deckStatus = document.getElementById('deck-status');
+const artboardPresetSelect = document.getElementById('artboard-preset');
+const artboardCustom = document.getElementById('artboard-custom');
+const artboardWidthInput = document.getElementById('artboard-width');
+const artboardHeightInput = document.getElementById('artboard-height');
+const artboardUnitSelect = document.getElementById('artboard-unit');
+const artboardStatus = document.getElementById('artboard-status');
+const imageDpiInput = document.getElementById('image-dpi');
+const imageWidthInput = document.getElementById('image-width');
+const imageTransparentCheckbox = document.getElementById('image-transparent');
+const imageBackgroundInput = document.getElementById('image-background');
+const imageStatus = document.getElementById('image-status');
 const exportSvgButton = document.getElementById('export-svg');
 const exportPptxButton = document.getElementById('export-pptx');
 const exportD3Button = document.getElementById('export-d3');
@@ -34,6 +64,26 @@ mapContainer3.style.height = '400px';
 // Store map data for each container
 const mapDataStore = new Map();
 
+// Store the prompt behind each container's map, for follow-up refinements
+const descriptionStore = new Map();
+
+// Uploaded CSV for choropleths ({ keyColumn, rowCount, columns }), if any
+let uploadedDataset = null;
+
+// Logo for the slide master, as a data URL, if any
+let deckLogo = null;
+
+// How often to poll a running batch job
+const BATCH_POLL_MS = 2000;
+
+// Words for a batch row's status
+const BATCH_ROW_STATUS = {
+    pending: 'waiting',
+    running: 'generating…',
+    ok: 'done',
+    error: 'failed'
+};
+
 // Global error handlers for verbose logging
 window.addEventListener('error', (event) => {
     const errorDetails = {
@@ -83,6 +133,11 @@ try {
             
             log('APP', 'Starting map generation', { description });
             
+            // Tell Claude about uploaded data columns; values are attached afterwards
+            const prompt = uploadedDataset ? description + describeDataset(uploadedDataset) : description;
+            const generate = () => generateMapData(prompt)
+                .then(mapData => attachChoroplethValues(mapData, uploadedDataset));
+            
             // Clear containers and hide export buttons
             mapContainer1.innerHTML = 'Generating first map...<div class="spinner"></div>';
             mapContainer2.innerHTML = 'Generating second map...<div class="spinner"></div>';
@@ -90,6 +145,9 @@ try {
             document.getElementById('export-buttons').style.display = 'none';
             document.getElementById('export-buttons2').style.display = 'none';
             document.getElementById('export-buttons3').style.display = 'none';
+            document.getElementById('refine-section').style.display = 'none';
+            document.getElementById('refine-section2').style.display = 'none';
+            document.getElementById('refine-section3').style.display = 'none';
             exportSvgButton.disabled = true;
             exportPptxButton.disabled = true;
             exportD3Button.disabled = true;
@@ -101,56 +159,65 @@ try {
             exportD3Button3.disabled = true;
             
             // Start first request immediately
-            const req1Promise = generateMapData(description)
+            const req1Promise = generate()
                 .then(async mapData => {
                     log('APP', 'First map data generated');
-                    mapDataStore.set(mapContainer1, mapData);
+                    setPanelMapData(mapContainer1, mapData);
+                    descriptionStore.set(mapContainer1, description);
                     mapContainer1.innerHTML = 'Rendering...<div class="spinner"></div>';
-                    await renderMap(mapContainer1, mapData);
+                    await renderMap(mapContainer1, mapData, artboardOptions());
                     document.getElementById('export-buttons').style.display = 'flex';
+                    document.getElementById('refine-section').style.display = 'flex';
                     exportSvgButton.disabled = false;
                     exportPptxButton.disabled = false;
                     exportD3Button.disabled = false;
+                    saveToHistory(mapContainer1);
                 })
                 .catch(error => {
                     log('APP', 'Error generating first map', { error: error.message });
-                    mapContainer1.innerHTML = `Error: ${error.message}`;
+                    mapContainer1.textContent = `Error: ${error.message}`;
                 });
 
             // Start second request after 3s delay
             const req2Promise = new Promise(resolve => setTimeout(resolve, 3000))
-                .then(() => generateMapData(description))
+                .then(generate)
                 .then(async mapData => {
                     log('APP', 'Second map data generated');
-                    mapDataStore.set(mapContainer2, mapData);
+                    setPanelMapData(mapContainer2, mapData);
+                    descriptionStore.set(mapContainer2, description);
                     mapContainer2.innerHTML = 'Rendering...<div class="spinner"></div>';
-                    await renderMap(mapContainer2, mapData);
+                    await renderMap(mapContainer2, mapData, artboardOptions());
                     document.getElementById('export-buttons2').style.display = 'flex';
+                    document.getElementById('refine-section2').style.display = 'flex';
                     exportSvgButton2.disabled = false;
                     exportPptxButton2.disabled = false;
                     exportD3Button2.disabled = false;
+                    saveToHistory(mapContainer2);
                 })
                 .catch(error => {
                     log('APP', 'Error generating second map', { error: error.message });
-                    mapContainer2.innerHTML = `Error: ${error.message}`;
+                    mapContainer2.textContent = `Error: ${error.message}`;
                 });
 
             // Start third request after 6s delay
             const req3Promise = new Promise(resolve => setTimeout(resolve, 6000))
-                .then(() => generateMapData(description))
+                .then(generate)
                 .then(async mapData => {
                     log('APP', 'Third map data generated');
-                    mapDataStore.set(mapContainer3, mapData);
+                    setPanelMapData(mapContainer3, mapData);
+                    descriptionStore.set(mapContainer3, description);
                     mapContainer3.innerHTML = 'Rendering...<div class="spinner"></div>';
-                    await renderMap(mapContainer3, mapData);
+                    await renderMap(mapContainer3, mapData, artboardOptions());
                     document.getElementById('export-buttons3').style.display = 'flex';
+                    document.getElementById('refine-section3').style.display = 'flex';
                     exportSvgButton3.disabled = false;
                     exportPptxButton3.disabled = false;
                     exportD3Button3.disabled = false;
+                    saveToHistory(mapContainer3);
                 })
                 .catch(error => {
                     log('APP', 'Error generating third map', { error: error.message });
-                    mapContainer3.innerHTML = `Error: ${error.message}`;
+                    mapContainer3.textContent = `Error: ${error.message}`;
                 });
 
             // Wait for all to complete, but don't throw errors since they're handled per-request
@@ -158,9 +225,9 @@ try {
             
         } catch (error) {
             log('APP', 'Error generating map', { error: error.message });
-            mapContainer1.innerHTML = `Error: ${error.message}`;
-            mapContainer2.innerHTML = `Error: ${error.message}`;
-            mapContainer3.innerHTML = `Error: ${error.message}`;
+            mapContainer1.textContent = `Error: ${error.message}`;
+            mapContainer2.textContent = `Error: ${error.message}`;
+            mapContainer3.textContent = `Error: ${error.message}`;
         }
     });
     
@@ -169,7 +236,7 @@ try {
         const svg = mapContainer1.querySelector('svg');
         if (!svg) return;
         
-        const svgData = new XMLSerializer().serializeToString(svg);
+        const svgData = new XMLSerializer().serializeToString(cleanSvg(svg));
         downloadFile(svgData, 'map.svg', 'image/svg+xml');
     });
     
@@ -177,7 +244,7 @@ try {
         const svg = mapContainer2.querySelector('svg');
         if (!svg) return;
         
-        const svgData = new XMLSerializer().serializeToString(svg);
+        const svgData = new XMLSerializer().serializeToString(cleanSvg(svg));
         downloadFile(svgData, 'map2.svg', 'image/svg+xml');
     });
 
@@ -185,14 +252,14 @@ try {
         const svg = mapContainer3.querySelector('svg');
         if (!svg) return;
         
-        const svgData = new XMLSerializer().serializeToString(svg);
+        const svgData = new XMLSerializer().serializeToString(cleanSvg(svg));
         downloadFile(svgData, 'map3.svg', 'image/svg+xml');
     });
 
     // Export PPTX on button click
     exportPptxButton.addEventListener('click', async () => {
         try {
-            await exportPptx(mapContainer1, 'map.pptx');
+            await exportPptx(mapContainer1, 'map.pptx', deckTemplate());
         } catch (error) {
             log('APP', 'Error exporting PPTX', { error: error.message });
         }
@@ -200,7 +267,7 @@ try {
 
     exportPptxButton2.addEventListener('click', async () => {
         try {
-            await exportPptx(mapContainer2, 'map2.pptx');
+            await exportPptx(mapContainer2, 'map2.pptx', deckTemplate());
         } catch (error) {
             log('APP', 'Error exporting PPTX', { error: error.message });
         }
@@ -208,7 +275,7 @@ try {
 
     exportPptxButton3.addEventListener('click', async () => {
         try {
-            await exportPptx(mapContainer3, 'map3.pptx');
+            await exportPptx(mapContainer3, 'map3.pptx', deckTemplate());
         } catch (error) {
             log('APP', 'Error exporting PPTX', { error: error.message });
         }
@@ -248,15 +315,679 @@ try {
         }
     });
     
+    // Load a logo for the slide master
+    deckLogoInput.addEventListener('change', async () => {
+        const file = deckLogoInput.files[0];
+        deckLogo = null;
+        if (!file) return;
+
+        try {
+            deckLogo = await readAsDataURL(file);
+        } catch (error) {
+            log('APP', 'Error loading logo', { error: error.message });
+            deckStatus.textContent = `Error: ${error.message}`;
+        }
+    });
+
+    // Export the three panels' maps as one deck
+    exportDeckVariantsButton.addEventListener('click', async () => {
+        deckStatus.textContent = '';
+        try {
+            const slides = [mapContainer1, mapContainer2, mapContainer3]
+                .map(container => ({ svg: container.querySelector('svg') }))
+                .filter(slide => slide.svg);
+            await exportDeck(slides, 'maps.pptx', deckTemplate());
+        } catch (error) {
+            log('APP', 'Error exporting deck', { error: error.message });
+            deckStatus.textContent = `Error: ${error.message}`;
+        }
+    });
+
+    // Export the saved maps ticked in the history as one deck
+    exportDeckSavedButton.addEventListener('click', exportSavedDeck);
+
+    // Load a CSV of values for data-driven (choropleth) maps
+    dataFileInput.addEventListener('change', async () => {
+        const file = dataFileInput.files[0];
+        uploadedDataset = null;
+        dataStatus.textContent = '';
+        if (!file) return;
+
+        try {
+            uploadedDataset = parseDataset(await file.text());
+            const columns = Object.keys(uploadedDataset.columns);
+            dataStatus.textContent = `${uploadedDataset.rowCount} rows keyed by ${uploadedDataset.keyColumn}. Columns: ${columns.join(', ')}`;
+            log('APP', 'Loaded dataset', { file: file.name, keyColumn: uploadedDataset.keyColumn, columns });
+        } catch (error) {
+            log('APP', 'Error loading dataset', { error: error.message });
+            dataStatus.textContent = `Error: ${error.message}`;
+        }
+    });
+    
+    // Run a CSV/JSONL file of descriptions as a server-side job, show each
+    // row's progress, then download the ZIP of results
+    runBatchButton.addEventListener('click', async () => {
+        const file = batchFileInput.files[0];
+        if (!file) return;
+
+        const isJsonl = /\.(jsonl|ndjson)$/i.test(file.name);
+        log('APP', 'Starting batch', { file: file.name });
+
+        runBatchButton.disabled = true;
+        batchStatus.innerHTML = 'Starting batch...<div class="spinner"></div>';
+
+        try {
+            const response = await fetch('/api/batch', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': isJsonl ? 'application/jsonl' : 'text/csv'
+                },
+                body: await file.text()
+            });
+            let job = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(job.error || `Batch request failed: ${response.status}`);
+            }
+
+            showBatchProgress(job);
+            while (job.status === 'running') {
+                await new Promise(resolve => setTimeout(resolve, BATCH_POLL_MS));
+                const poll = await fetch(`/api/batch/${job.id}`);
+                job = await poll.json().catch(() => ({}));
+                if (!poll.ok) throw new Error(job.error || `Batch status failed: ${poll.status}`);
+                showBatchProgress(job);
+            }
+            if (job.status !== 'done') throw new Error(job.error || 'Batch failed');
+
+            const zipResponse = await fetch(`/api/batch/${job.id}/zip`);
+            if (!zipResponse.ok) {
+                const body = await zipResponse.json().catch(() => ({}));
+                throw new Error(body.error || `Batch download failed: ${zipResponse.status}`);
+            }
+            downloadFile(await zipResponse.blob(), 'maps.zip', 'application/zip');
+            log('APP', 'Batch complete', { rows: job.total, failed: job.failed });
+        } catch (error) {
+            log('APP', 'Error running batch', { error: error.message });
+            batchStatus.textContent = `Error: ${error.message}`;
+        } finally {
+            runBatchButton.disabled = false;
+        }
+    });
+    
+    // Copy a link that reopens the map from its spec
+    setupCopyLink(mapContainer1, '');
+    setupCopyLink(mapContainer2, '2');
+    setupCopyLink(mapContainer3, '3');
+    
+    // Refine a single panel's map with a follow-up instruction
+    setupRefine(mapContainer1, '');
+    setupRefine(mapContainer2, '2');
+    setupRefine(mapContainer3, '3');
+
+    // Hand-edit a panel's spec and re-render without an LLM round-trip
+    setupSpecEditor(mapContainer1, '');
+    setupSpecEditor(mapContainer2, '2');
+    setupSpecEditor(mapContainer3, '3');
+
+    // Pick a projection and framing for a panel
+    setupProjectionControls(mapContainer1, '');
+    setupProjectionControls(mapContainer2, '2');
+    setupProjectionControls(mapContainer3, '3');
+
+    // Lay the maps out on a fixed artboard instead of the window's size
+    [artboardPresetSelect, artboardWidthInput, artboardHeightInput, artboardUnitSelect].forEach(input => {
+        input.addEventListener('change', applyArtboard);
+    });
+
+    // Export a panel's map as PNG, PDF or EPS
+    setupStaticExport(mapContainer1, '');
+    setupStaticExport(mapContainer2, '2');
+    setupStaticExport(mapContainer3, '3');
+
+    imageTransparentCheckbox.addEventListener('change', () => {
+        imageBackgroundInput.disabled = imageTransparentCheckbox.checked;
+    });
+    
     log('APP', 'Application initialized');
     
+    // Render a shared map straight from its link, skipping Claude
+    loadSharedMap();
+    
+    // List past generations
+    refreshHistory();
+    
 } catch (error) {
     log('APP', 'Error initializing application', { error: error.message });
 }
 
+/**
+ * Store a panel's current spec and mirror it into the panel's JSON editor
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {Object} mapData - Map configuration
+ */
+function setPanelMapData(container, mapData) {
+    mapDataStore.set(container, mapData);
+
+    const specInput = container.parentElement.querySelector('.spec-editor textarea');
+    if (specInput) {
+        specInput.value = JSON.stringify(mapData, null, 2);
+    }
+
+    const projectionEditor = container.parentElement.querySelector('.projection-editor');
+    if (projectionEditor) {
+        const projection = mapData.projection || {};
+        projectionEditor.querySelector('select').value = projection.name || '';
+        projectionEditor.querySelector('[id^="projection-rotate"]').value = (projection.rotate || []).join(', ');
+        projectionEditor.querySelector('[id^="projection-center"]').value = (projection.center || []).join(', ');
+        projectionEditor.querySelector('[id^="projection-scale"]').value = projection.scale ?? '';
+    }
+}
+
+/**
+ * Wire up a panel's "Copy Link" button
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {string} suffix - Element id suffix for the panel ('', '2' or '3')
+ */
+function setupCopyLink(container, suffix) {
+    const button = document.getElementById(`copy-link${suffix}`);
+
+    button.addEventListener('click', async () => {
+        try {
+            const mapData = mapDataStore.get(container);
+            if (!mapData) throw new Error('No map data found');
+            await navigator.clipboard.writeText(createPermalink(mapData));
+            button.textContent = 'Link Copied';
+            setTimeout(() => { button.textContent = 'Copy Link'; }, 2000);
+        } catch (error) {
+            log('APP', 'Error copying link', { error: error.message });
+        }
+    });
+}
+
+/**
+ * Save a panel's rendered map to the history, then refresh the sidebar
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {string} [refinement] - Follow-up instruction that produced the map
+ */
+async function saveToHistory(container, refinement) {
+    try {
+        const description = descriptionStore.get(container) || '';
+        await saveMap({
+            prompt: refinement ? `${description} → ${refinement}` : description,
+            mapData: mapDataStore.get(container),
+            svg: container.querySelector('svg')
+        });
+        await refreshHistory();
+    } catch (error) {
+        log('APP', 'Error saving map to history', { error: error.message });
+    }
+}
+
+/**
+ * Rebuild the history sidebar from the server
+ */
+async function refreshHistory() {
+    try {
+        const records = await listMaps();
+        historyList.innerHTML = '';
+
+        records.forEach(record => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+
+            const prompt = document.createElement('span');
+            prompt.textContent = record.prompt || '(no prompt)';
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '×';
+            removeButton.title = 'Delete from history';
+            removeButton.addEventListener('click', async event => {
+                event.stopPropagation();
+                try {
+                    await deleteMap(record.id);
+                    await refreshHistory();
+                } catch (error) {
+                    log('APP', 'Error deleting map from history', { error: error.message });
+                }
+            });
+
+            // Tick to include the map in a deck
+            const select = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'history-select';
+            checkbox.value = record.id;
+            select.append(checkbox, ' Add to deck');
+            select.addEventListener('click', event => event.stopPropagation());
+
+            const time = document.createElement('time');
+            time.dateTime = record.createdAt;
+            time.textContent = new Date(record.createdAt).toLocaleString();
+
+            if (record.thumbnail) {
+                const thumbnail = document.createElement('img');
+                thumbnail.alt = '';
+                thumbnail.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(record.thumbnail)}`;
+                item.appendChild(thumbnail);
+            }
+            item.append(prompt, removeButton, select, time);
+            item.addEventListener('click', () => openSavedMap(record.id));
+            historyList.appendChild(item);
+        });
+    } catch (error) {
+        log('APP', 'Error loading history', { error: error.message });
+    }
+}
+
+/**
+ * Read the slide master from the deck settings
+ * @returns {Object} Template for exportPptx and exportDeck
+ */
+function deckTemplate() {
+    const template = { size: deckSizeSelect.value };
+    if (deckFontInput.value.trim()) template.fontFace = deckFontInput.value.trim();
+    if (deckTitleCheckbox.checked) template.title = true;
+    if (deckLogo) template.logo = { data: deckLogo };
+    return template;
+}
+
+/**
+ * Read the artboard setting as renderMap options
+ * @returns {Object} { artboard }, or nothing to fit the window
+ */
+function artboardOptions() {
+    const preset = artboardPresetSelect.value;
+    if (!preset) return {};
+    if (preset !== 'custom') return { artboard: preset };
+
+    const width = parseFloat(artboardWidthInput.value);
+    const height = parseFloat(artboardHeightInput.value);
+    if (!(width > 0 && height > 0)) return {};
+    return { artboard: { width, height, unit: artboardUnitSelect.value } };
+}
+
+/**
+ * Check the artboard setting and redraw every panel's map on it
+ */
+async function applyArtboard() {
+    artboardCustom.style.display = artboardPresetSelect.value === 'custom' ? 'inline' : 'none';
+    artboardStatus.textContent = '';
+
+    const options = artboardOptions();
+    try {
+        if (options.artboard) resolveArtboard(options.artboard);
+    } catch (error) {
+        artboardStatus.textContent = `Error: ${error.message}`;
+        return;
+    }
+
+    log('APP', 'Changing artboard', options);
+
+    for (const [container, mapData] of mapDataStore) {
+        try {
+            container.innerHTML = 'Rendering...<div class="spinner"></div>';
+            await renderMap(container, mapData, options);
+        } catch (error) {
+            log('APP', 'Error rendering on artboard', { error: error.message });
+            container.textContent = `Error: ${error.message}`;
+        }
+    }
+}
+
+/**
+ * Wire up a panel's PNG, PDF and EPS buttons, using the image settings
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {string} suffix - Element id suffix for the panel ('', '2' or '3')
+ */
+function setupStaticExport(container, suffix) {
+    const formats = [
+        { name: 'png', exporter: exportPng, type: 'image/png' },
+        { name: 'pdf', exporter: exportPdf, type: 'application/pdf' },
+        { name: 'eps', exporter: exportEps, type: 'application/postscript' }
+    ];
+
+    formats.forEach(({ name, exporter, type }) => {
+        const button = document.getElementById(`export-${name}${suffix}`);
+
+        button.addEventListener('click', async () => {
+            imageStatus.textContent = '';
+            button.disabled = true;
+            try {
+                const mapData = mapDataStore.get(container);
+                if (!mapData) throw new Error('No map data found');
+
+                const options = {
+                    background: imageTransparentCheckbox.checked ? 'transparent' : imageBackgroundInput.value
+                };
+                if (name === 'png') {
+                    const width = parseInt(imageWidthInput.value, 10);
+                    if (width > 0) options.width = width;
+                    else options.dpi = parseFloat(imageDpiInput.value) || undefined;
+                } else if (mapData.title) {
+                    options.title = mapData.title;
+                }
+
+                const blob = await exporter(container, options);
+                downloadFile(blob, `map${suffix}.${name}`, type);
+            } catch (error) {
+                log('APP', `Error exporting ${name.toUpperCase()}`, { error: error.message });
+                imageStatus.textContent = `Error: ${error.message}`;
+            } finally {
+                button.disabled = false;
+            }
+        });
+    });
+}
+
+/**
+ * Render the saved maps ticked in the history, off screen at the first
+ * panel's size (or on the artboard), and export them as one deck
+ */
+async function exportSavedDeck() {
+    const ids = [...historyList.querySelectorAll('.history-select:checked')].map(checkbox => checkbox.value);
+    deckStatus.textContent = '';
+    if (!ids.length) {
+        deckStatus.textContent = 'Tick “Add to deck” on the saved maps to include';
+        return;
+    }
+
+    log('APP', 'Exporting saved maps as a deck', { count: ids.length });
+
+    exportDeckSavedButton.disabled = true;
+    deckStatus.innerHTML = 'Rendering maps...<div class="spinner"></div>';
+
+    const offscreen = document.createElement('div');
+    offscreen.style.position = 'absolute';
+    offscreen.style.left = '-10000px';
+    document.body.appendChild(offscreen);
+
+    try {
+        const slides = [];
+        for (const id of ids) {
+            const record = await getMap(id);
+            const container = document.createElement('div');
+            offscreen.appendChild(container);
+            await renderMap(container, record.mapData, {
+                width: mapContainer1.clientWidth,
+                height: mapContainer1.clientHeight,
+                ...artboardOptions()
+            });
+            slides.push({ svg: container.querySelector('svg') });
+        }
+        await exportDeck(slides, 'saved-maps.pptx', deckTemplate());
+        deckStatus.textContent = '';
+    } catch (error) {
+        log('APP', 'Error exporting saved maps', { error: error.message });
+        deckStatus.textContent = `Error: ${error.message}`;
+    } finally {
+        offscreen.remove();
+        exportDeckSavedButton.disabled = false;
+    }
+}
+
+/**
+ * Read a file as a data URL
+ * @param {File} file - File
+ * @returns {Promise<string>} Data URL
+ */
+function readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Re-render a saved map into the first panel
+ * @param {string} id - History record id
+ */
+async function openSavedMap(id) {
+    try {
+        mapContainer1.innerHTML = 'Loading...<div class="spinner"></div>';
+        const record = await getMap(id);
+
+        log('APP', 'Rendering saved map', { id, prompt: record.prompt });
+
+        setPanelMapData(mapContainer1, record.mapData);
+        descriptionStore.set(mapContainer1, record.prompt);
+        await renderMap(mapContainer1, record.mapData, artboardOptions());
+        document.getElementById('export-buttons').style.display = 'flex';
+        document.getElementById('refine-section').style.display = 'flex';
+        exportSvgButton.disabled = false;
+        exportPptxButton.disabled = false;
+        exportD3Button.disabled = false;
+    } catch (error) {
+        log('APP', 'Error opening saved map', { error: error.message });
+        mapContainer1.textContent = `Error: ${error.message}`;
+    }
+}
+
+/**
+ * Render the map carried in the page's permalink hash, if any, into the
+ * first panel
+ */
+async function loadSharedMap() {
+    try {
+        const mapData = readPermalink(window.location.hash);
+        if (!mapData) return;
+
+        validateMapData(mapData);
+        if (mapData.showLabels === undefined) {
+            mapData.showLabels = true;
+        }
+
+        log('APP', 'Rendering shared map', mapData);
+
+        setPanelMapData(mapContainer1, mapData);
+        mapContainer1.innerHTML = 'Rendering...<div class="spinner"></div>';
+        await renderMap(mapContainer1, mapData, artboardOptions());
+        document.getElementById('export-buttons').style.display = 'flex';
+        document.getElementById('refine-section').style.display = 'flex';
+    } catch (error) {
+        log('APP', 'Error rendering shared map', { error: error.message });
+        // As text: validation messages repeat the link's spec back
+        mapContainer1.textContent = `Error: ${error.message}`;
+    }
+}
+
+/**
+ * Wire up the JSON editor under a map panel. Edits are validated with the
+ * same rules applied to Claude's output, then rendered directly.
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {string} suffix - Element id suffix for the panel ('', '2' or '3')
+ */
+function setupSpecEditor(container, suffix) {
+    const input = document.getElementById(`spec-input${suffix}`);
+    const button = document.getElementById(`spec-apply${suffix}`);
+    const errorEl = document.getElementById(`spec-error${suffix}`);
+
+    button.addEventListener('click', async () => {
+        errorEl.textContent = '';
+
+        let mapData;
+        try {
+            mapData = JSON.parse(input.value);
+            validateMapData(mapData);
+        } catch (error) {
+            errorEl.textContent = `Invalid map JSON: ${error.message}`;
+            return;
+        }
+
+        if (mapData.showLabels === undefined) {
+            mapData.showLabels = true;
+        }
+
+        log('APP', 'Applying edited map JSON', mapData);
+
+        button.disabled = true;
+        try {
+            setPanelMapData(container, mapData);
+            container.innerHTML = 'Rendering...<div class="spinner"></div>';
+            await renderMap(container, mapData, artboardOptions());
+        } catch (error) {
+            log('APP', 'Error rendering edited map', { error: error.message });
+            errorEl.textContent = `Error: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Parse a comma-separated list of numbers from a text input
+ * @param {string} value - Input text (e.g. "15, 52")
+ * @param {string} field - Field name for the error message
+ * @returns {Array<number>|undefined} Numbers, or undefined if empty
+ */
+function parseNumberList(value, field) {
+    if (!value.trim()) return undefined;
+    const numbers = value.split(',').map(part => Number(part.trim()));
+    if (numbers.some(n => !Number.isFinite(n))) {
+        throw new Error(`${field} must be comma-separated numbers`);
+    }
+    return numbers;
+}
+
+/**
+ * Wire up a panel's projection controls. They override the spec's
+ * projection and re-render without an LLM round-trip.
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {string} suffix - Element id suffix for the panel ('', '2' or '3')
+ */
+function setupProjectionControls(container, suffix) {
+    const nameSelect = document.getElementById(`projection-name${suffix}`);
+    const rotateInput = document.getElementById(`projection-rotate${suffix}`);
+    const centerInput = document.getElementById(`projection-center${suffix}`);
+    const scaleInput = document.getElementById(`projection-scale${suffix}`);
+    const button = document.getElementById(`projection-apply${suffix}`);
+    const errorEl = document.getElementById(`projection-error${suffix}`);
+
+    button.addEventListener('click', async () => {
+        errorEl.textContent = '';
+
+        const current = mapDataStore.get(container);
+        if (!current) {
+            errorEl.textContent = 'Generate a map first';
+            return;
+        }
+
+        let mapData;
+        try {
+            mapData = { ...current };
+            delete mapData.projection;
+            if (nameSelect.value) {
+                const projection = { name: nameSelect.value };
+                const rotate = parseNumberList(rotateInput.value, 'Rotate');
+                const center = parseNumberList(centerInput.value, 'Center');
+                if (rotate) projection.rotate = rotate;
+                if (center) projection.center = center;
+                if (scaleInput.value) projection.scale = Number(scaleInput.value);
+                // The controls don't edit parallels; keep Claude's if the projection is unchanged
+                if (current.projection?.name === projection.name && current.projection.parallels) {
+                    projection.parallels = current.projection.parallels;
+                }
+                mapData.projection = projection;
+            }
+            validateMapData(mapData);
+        } catch (error) {
+            errorEl.textContent = error.message;
+            return;
+        }
+
+        log('APP', 'Applying projection', mapData.projection || { name: 'default' });
+
+        button.disabled = true;
+        try {
+            setPanelMapData(container, mapData);
+            container.innerHTML = 'Rendering...<div class="spinner"></div>';
+            await renderMap(container, mapData, artboardOptions());
+        } catch (error) {
+            log('APP', 'Error rendering with projection', { error: error.message });
+            errorEl.textContent = `Error: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    });
+}
+
+/**
+ * Wire up the follow-up box under a map panel. The panel's current spec and
+ * the instruction go to Claude, and only that panel is re-rendered.
+ * @param {HTMLElement} container - Map container for the panel
+ * @param {string} suffix - Element id suffix for the panel ('', '2' or '3')
+ */
+function setupRefine(container, suffix) {
+    const input = document.getElementById(`refine-input${suffix}`);
+    const button = document.getElementById(`refine${suffix}`);
+    const errorEl = document.getElementById(`refine-error${suffix}`);
+
+    const refine = async () => {
+        const instruction = input.value.trim();
+        const mapData = mapDataStore.get(container);
+        if (!instruction || !mapData) return;
+
+        log('APP', 'Starting map refinement', { instruction });
+
+        button.disabled = true;
+        input.disabled = true;
+        errorEl.textContent = '';
+
+        try {
+            const followUp = uploadedDataset ? instruction + describeDataset(uploadedDataset) : instruction;
+            const refined = attachChoroplethValues(
+                await refineMapData(stripChoroplethValues(mapData), followUp, descriptionStore.get(container)),
+                uploadedDataset,
+                mapData.choropleth
+            );
+            setPanelMapData(container, refined);
+            container.innerHTML = 'Rendering...<div class="spinner"></div>';
+            await renderMap(container, refined, artboardOptions());
+            saveToHistory(container, instruction);
+            input.value = '';
+            log('APP', 'Map refinement complete');
+        } catch (error) {
+            log('APP', 'Error refining map', { error: error.message });
+            errorEl.textContent = `Error: ${error.message}`;
+        } finally {
+            button.disabled = false;
+            input.disabled = false;
+        }
+    };
+
+    button.addEventListener('click', refine);
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') refine();
+    });
+}
+
+/**
+ * Show a batch job's progress: a summary line and each row's status
+ * @param {Object} job - Job status from /api/batch/:id
+ */
+function showBatchProgress(job) {
+    const summary = document.createElement('p');
+    summary.textContent = job.status === 'running'
+        ? `Generating maps: ${job.done} of ${job.total} done${job.failed ? `, ${job.failed} failed` : ''}`
+        : `Done: ${job.total - job.failed} of ${job.total} maps.${job.failed ? ' Failed rows are listed in report.json.' : ''}`;
+
+    const list = document.createElement('ol');
+    list.className = 'batch-rows';
+    job.rows.forEach(row => {
+        const item = document.createElement('li');
+        item.className = `batch-row batch-row-${row.status}`;
+        item.textContent = `${row.name || row.description}: ${BATCH_ROW_STATUS[row.status] || row.status}`;
+        if (row.error) item.title = row.error;
+        list.appendChild(item);
+    });
+
+    batchStatus.replaceChildren(summary, list);
+}
+
 /**
  * Download file with given content and type
- * @param {string} content - File content
+ * @param {string|Blob} content - File content
  * @param {string} filename - File name
  * @param {string} type - File MIME type
  */
@@ -0,0 +1,110 @@
+import { log } from './logger.js';
+
+const THUMBNAIL_WIDTH = 160;
+
+/**
+ * Reduce a d3 path string (M/L/Z only) to whole-pixel points at the given
+ * scale, dropping points that collapse onto their predecessor
+ * @param {string} d - Path data
+ * @param {number} scale - Scale factor
+ * @returns {string|null} Simplified path data, or null if unsupported
+ */
+function simplifyPath(d, scale) {
+    if (!d || /[^MLZ0-9.,\-e\s]/.test(d)) return null;
+
+    let out = '';
+    let last = null;
+    const commands = d.match(/[MLZ][^MLZ]*/g) || [];
+    commands.forEach(cmd => {
+        const type = cmd[0];
+        if (type === 'Z') {
+            out += 'Z';
+            last = null;
+            return;
+        }
+        const [x, y] = cmd.slice(1).split(',').map(v => Math.round(parseFloat(v) * scale));
+        if (isNaN(x) || isNaN(y)) return;
+        const point = `${x},${y}`;
+        if (type === 'L' && point === last) return;
+        out += `${type}${point}`;
+        last = point;
+    });
+    return out || null;
+}
+
+/**
+ * Build a small, fill-only SVG thumbnail of a rendered map
+ * @param {SVGSVGElement} svg - Rendered map SVG
+ * @returns {string} Thumbnail SVG markup
+ */
+export function createThumbnail(svg) {
+    const viewBox = svg.getAttribute('viewBox').split(' ').map(parseFloat);
+    const scale = THUMBNAIL_WIDTH / viewBox[2];
+    const height = Math.round(viewBox[3] * scale);
+
+    const paths = [];
+    svg.querySelectorAll('#regions-layer path').forEach(path => {
+        const d = simplifyPath(path.getAttribute('d'), scale);
+        if (d) paths.push(`<path d="${d}" fill="${path.getAttribute('fill')}"/>`);
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${THUMBNAIL_WIDTH}" height="${height}" viewBox="0 0 ${THUMBNAIL_WIDTH} ${height}">${paths.join('')}</svg>`;
+}
+
+/**
+ * Send a request to the map history API
+ * @param {string} path - API path
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object|null>} Parsed JSON body, or null for empty responses
+ */
+async function request(path, options) {
+    const response = await fetch(path, options);
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `History request failed: ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Save a rendered map to the server-side history
+ * @param {Object} entry - { prompt, mapData, svg }
+ * @returns {Promise<Object>} Stored record
+ */
+export async function saveMap({ prompt, mapData, svg }) {
+    log('HISTORY', 'Saving map', { prompt });
+    return request('/api/maps', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            prompt,
+            mapData,
+            thumbnail: svg ? createThumbnail(svg) : ''
+        })
+    });
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Saved map summaries, newest first
+ */
+export async function listMaps() {
+    return request('/api/maps');
+}
+
+/**
+ * @param {string} id - Record id
+ * @returns {Promise<Object>} Full saved record including MapData
+ */
+export async function getMap(id) {
+    return request(`/api/maps/${encodeURIComponent(id)}`);
+}
+
+/**
+ * @param {string} id - Record id
+ */
+export async function deleteMap(id) {
+    log('HISTORY', 'Deleting map', { id });
+    await request(`/api/maps/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
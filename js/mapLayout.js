@@ -0,0 +1,831 @@
+/**
+ * Map layout: everything renderMap works out before touching the DOM.
+ * Projects the regions and borders to SVG path data, matches the requested
+ * cities, and places region, city and county labels. The result is plain data, so
+ * it can be computed in the layout worker (mapWorker.js) and posted back;
+ * only the final DOM write happens on the page.
+ */
+
+import { log } from './logger.js';
+import { createProjection, focusBounds, visiblePoint } from './projections.js';
+import { loadAdmin1 } from './admin1.js';
+import { loadBaseLayers, loadCounties, loadJSON, mayContain, featureCentroid } from './geoData.js';
+import { labeler, seededRandom, lineIntersectsLine, lineIntersectsRect } from './labeler.js';
+import { projectedRings, polylabel, ringsDistance } from './polylabel.js';
+
+// Label fonts (size in pt), as drawn by renderMap
+const CITY_LABEL_FONT = { size: 6, weight: 'normal' };
+const REGION_LABEL_FONT = { size: 6, weight: 'bold' };
+
+/**
+ * Label placement strategies a spec may ask for: greedy picks one of the
+ * candidate positions per label; annealing moves labels freely with
+ * labeler.js; annealing-after-greedy anneals from the greedy result.
+ */
+export const LABEL_STRATEGIES = ['greedy', 'annealing', 'annealing-after-greedy'];
+
+// mapData.labelPlacement defaults. The fixed seed keeps annealed layouts
+// the same from one render to the next.
+const LABEL_PLACEMENT_DEFAULTS = { strategy: 'greedy', sweeps: 500, seed: 1, callouts: true };
+
+// Where callouts may go: distances (px) and directions around the anchor
+const CALLOUT_RADII = [14, 22, 32, 46, 64];
+const CALLOUT_DIRECTIONS = 16;
+
+/**
+ * Normalize string for comparison (lowercase, strip accents)
+ * @param {string} str - String to normalize
+ * @returns {string} Normalized string
+ */
+function normalizeString(str) {
+    if (!str) return '';
+    return str.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+/**
+ * Smart match for cities and countries
+ */
+function smartMatch(requested, actual, isCountry = false) {
+    const r = normalizeString(requested);
+    const a = normalizeString(actual);
+    if (r === a) return true;
+
+    // Common City Aliases
+    const cityAliases = {
+        'nyc': 'new york city',
+        'new york': 'new york city',
+        'la': 'los angeles',
+        'sf': 'san francisco',
+        'dc': 'washington',
+        'washington dc': 'washington',
+        'sao paolo': 'sao paulo',
+        'macao': 'macau'  // Normalize Macao -> Macau spelling
+    };
+
+    // Common Country Aliases
+    const countryAliases = {
+        'usa': 'united states of america',
+        'us': 'united states of america',
+        'united states': 'united states of america',
+        'uk': 'united kingdom',
+        'uae': 'united arab emirates',
+        'east timor': 'timor-leste',
+        'macao': 'macau'  // Normalize Macao -> Macau spelling
+    };
+
+    const mappedR = cityAliases[r] || countryAliases[r] || r;
+    const mappedA = cityAliases[a] || countryAliases[a] || a;
+
+    if (mappedR === mappedA) return true;
+
+    // For countries, allow partial matches (e.g., "United States" in "United States of America")
+    if (isCountry) {
+        // Special case: Hong Kong and Macau should NOT match "China" or each other via partial match
+        const specialEntities = ['hong kong', 'macau', 'china', 'hong kong s.a.r.', 'hong kong s.a.r', 'macau s.a.r.', 'macau s.a.r'];
+        if (specialEntities.includes(mappedR) || specialEntities.includes(mappedA)) {
+            // Handle S.A.R. variations (with or without period)
+            const normR = mappedR.replace(/ s\.a\.r\.?$/i, '');
+            const normA = mappedA.replace(/ s\.a\.r\.?$/i, '');
+            return normR === normA;
+        }
+        return mappedA.includes(mappedR) || mappedR.includes(mappedA);
+    }
+
+    // For cities, be stricter to avoid "NYC" matching "York"
+    return false;
+}
+
+/**
+ * Check whether a city from cities.geojson is the one a spec asks for
+ * @param {Object} config - City entry from mapData.cities ({ name, country })
+ * @param {Object} city - City feature from cities.geojson
+ * @returns {boolean} True if name and country both match
+ */
+function cityMatches(config, city) {
+    // Use smartMatch for both name and country
+    return smartMatch(config.name, city.properties.NAME, false) &&
+        smartMatch(config.country, city.properties.ADM0NAME, true);
+}
+
+/**
+ * Candidate label positions (text baselines) around a point marker. The
+ * order matters: exporters read the chosen index (0, 2, 5 = right of the
+ * marker; 1, 3, 6 = left; 4, 7 = centered).
+ * @param {Array<number>} coords - Projected marker position [x, y]
+ * @param {number} labelWidth - Measured label width
+ * @param {number} markerR - Marker radius (0 for labels without a marker)
+ * @returns {Array<{x: number, y: number}>} Candidate positions
+ */
+function labelCandidates(coords, labelWidth, markerR) {
+    // Tight gap from marker
+    const gap = 0;
+    const offset = (gap + markerR) * 0.8; // Tight horizontal spacing
+
+    // Use fixed vertical offsets for 6pt font to ensure tightness without overlap
+    // 6pt font is approx 8px high (6px ascent + 2px descent)
+    // Marker is approx 4px high (extends 2px up/down)
+
+    // Baseline 4px above center -> Bottom of text (descent) is at ~2px above center (touching top of marker)
+    const aboveY = coords[1] - 4;
+
+    // Baseline 8px below center -> Top of text (ascent) is at ~2px below center (touching bottom of marker)
+    const belowY = coords[1] + 8;
+
+    // 8 candidate positions with consistent distance from marker
+    return [
+        // Horizontal: label baseline aligned with marker
+        { x: coords[0] + offset + 1, y: coords[1] + 3 },                        // right (baseline shifted down slightly to center vertically)
+        { x: coords[0] - labelWidth - offset - 1, y: coords[1] + 3 },           // left
+        // Above marker
+        { x: coords[0] + offset, y: aboveY },                                   // top-right
+        { x: coords[0] - labelWidth - offset, y: aboveY },                      // top-left
+        { x: coords[0] - labelWidth / 2, y: aboveY },                           // centered above
+        // Below marker
+        { x: coords[0] + offset, y: belowY },                                   // bottom-right
+        { x: coords[0] - labelWidth - offset, y: belowY },                      // bottom-left
+        { x: coords[0] - labelWidth / 2, y: belowY }                            // centered below
+    ];
+}
+
+/**
+ * Greedy label placement: for each label, try all candidate positions and
+ * pick the one with the lowest overlap with fixed anchors and labels
+ * placed before it. Sets x, y and posIdx on each label.
+ * @param {Array<Object>} labelData - Labels ({ width, height, candidates })
+ * @param {Array<Object>} anchorData - Anchor point ({ x, y }) for each label
+ * @param {Array<Object>} fixedAnchors - Boxes to avoid ({ x, y, width, height })
+ */
+function placeLabels(labelData, anchorData, fixedAnchors) {
+    labelData.forEach((lab, idx) => {
+        if (lab.candidates && lab.candidates.length > 0) {
+            let bestPos = lab.candidates[0];
+            let bestPosIdx = 0;
+            let bestScore = Infinity;
+
+            lab.candidates.forEach((pos, posIdx) => {
+                let score = 0;
+                const labRect = {
+                    x1: pos.x,
+                    y1: pos.y - lab.height,
+                    x2: pos.x + lab.width,
+                    y2: pos.y
+                };
+
+                // Heavily penalize overlap with fixed anchors (state labels)
+                fixedAnchors.forEach(fa => {
+                    const faRect = {
+                        x1: fa.x,
+                        y1: fa.y,
+                        x2: fa.x + fa.width,
+                        y2: fa.y + fa.height
+                    };
+                    const xOverlap = Math.max(0, Math.min(labRect.x2, faRect.x2) - Math.max(labRect.x1, faRect.x1));
+                    const yOverlap = Math.max(0, Math.min(labRect.y2, faRect.y2) - Math.max(labRect.y1, faRect.y1));
+                    score += xOverlap * yOverlap * 100; // High penalty
+                });
+
+                // Light penalty for overlap with other labels
+                labelData.forEach((other, otherIdx) => {
+                    if (otherIdx < idx) { // Only check already-placed labels
+                        const otherRect = {
+                            x1: other.x,
+                            y1: other.y - other.height,
+                            x2: other.x + other.width,
+                            y2: other.y
+                        };
+                        const xOverlap = Math.max(0, Math.min(labRect.x2, otherRect.x2) - Math.max(labRect.x1, otherRect.x1));
+                        const yOverlap = Math.max(0, Math.min(labRect.y2, otherRect.y2) - Math.max(labRect.y1, otherRect.y1));
+                        score += xOverlap * yOverlap * 5; // Low penalty
+                    }
+                });
+
+                // Penalize "centered above" (idx 4) and "centered below" (idx 7) positions
+                // These place labels directly above/below which looks worse
+                if (posIdx === 4 || posIdx === 7) {
+                    score += 50; // Discourage these positions
+                }
+
+                // Small penalty for distance from marker
+                const dx = pos.x + lab.width / 2 - anchorData[idx].x;
+                const dy = pos.y - lab.height / 2 - anchorData[idx].y;
+                score += Math.sqrt(dx * dx + dy * dy) * 0.5; // Increased penalty for distance
+
+                if (score < bestScore) {
+                    bestScore = score;
+                    bestPos = pos;
+                    bestPosIdx = posIdx;
+                }
+            });
+
+            lab.x = bestPos.x;
+            lab.y = bestPos.y;
+            lab.posIdx = bestPosIdx;
+        }
+    });
+}
+
+/**
+ * The candidate position (see labelCandidates) nearest to where a freely
+ * moved label ended up, so exporters know which side of its marker it is on
+ * @param {Object} lab - Label ({ x, y, width, height, candidates })
+ * @param {Object} anchor - Its anchor ({ x, y, r })
+ * @returns {number} Candidate index
+ */
+function nearestPosIdx(lab, anchor) {
+    const band = Math.max(anchor.r, 2);
+    const middle = lab.y - lab.height / 2;
+    const row = middle < anchor.y - band ? 'above' : middle > anchor.y + band ? 'below' : 'level';
+    const column = lab.x >= anchor.x ? 'right' : lab.x + lab.width <= anchor.x ? 'left' : 'center';
+
+    return {
+        level: { right: 0, left: 1, center: lab.candidates?.length > 8 ? 8 : 4 },
+        above: { right: 2, left: 3, center: 4 },
+        below: { right: 5, left: 6, center: 7 }
+    }[row][column];
+}
+
+/**
+ * Simulated-annealing placement with labeler.js, starting from the labels'
+ * current positions. Sets x, y and posIdx on each label.
+ * @param {Array<Object>} labelData - Labels ({ x, y, width, height, candidates })
+ * @param {Array<Object>} anchorData - Anchor ({ x, y, r }) for each label; r is the marker's half-size
+ * @param {Array<Object>} fixedAnchors - Boxes to avoid ({ x, y, width, height })
+ * @param {Object} settings - { weights, sweeps, seed } (see mapData.labelPlacement)
+ * @param {Array<Array<number>>} extent - [[x0, y0], [x1, y1]] labels must stay within
+ */
+export function annealLabels(labelData, anchorData, fixedAnchors, settings, extent) {
+    labeler()
+        .label(labelData)
+        .anchor(anchorData)
+        .fixedAnchors(fixedAnchors)
+        .extent(extent)
+        .weights(settings.weights || {})
+        .random(seededRandom(settings.seed))
+        .start(settings.sweeps);
+
+    labelData.forEach((lab, i) => {
+        lab.posIdx = nearestPosIdx(lab, anchorData[i]);
+    });
+}
+
+/**
+ * Overlap area of two boxes
+ * @param {Object} a - { x, y, width, height } (y = top)
+ * @param {Object} b - { x, y, width, height }
+ * @returns {number} Area in px²
+ */
+function overlapArea(a, b) {
+    const xOverlap = Math.max(0, Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x));
+    const yOverlap = Math.max(0, Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y));
+    return xOverlap * yOverlap;
+}
+
+/**
+ * Place country/state labels. Each starts centered on its region's pole
+ * of inaccessibility and may shift within the region to clear labels
+ * placed before it; the most cramped regions go first. Sets x (center)
+ * and y (baseline) on each label.
+ * @param {Array<Object>} labels - { x, y, width, height, ascent, rings, room }: x, y = the label
+ *   centered on the pole (x middle, y baseline), room = the pole's distance to the region's edge
+ * @returns {Array<Object>} Labels that still overlap another
+ */
+function placeRegionLabels(labels) {
+    const boxAt = (lab, x, y) => ({ x: x - lab.width / 2, y: y - lab.ascent, width: lab.width, height: lab.height });
+    const placed = [];
+    const crowded = [];
+
+    [...labels].sort((a, b) => a.room - b.room).forEach(lab => {
+        const baseline = lab.y;
+        const steps = [[0, 0], [0, -1], [0, 1], [-1, 0], [1, 0], [-1, -1], [1, -1], [-1, 1], [1, 1]];
+
+        let best = null;
+        steps.forEach(([sx, sy], i) => {
+            const x = lab.x + sx * lab.width / 4;
+            const y = baseline + sy * lab.height;
+            // Shifted positions must stay centered inside the region
+            if (i > 0 && ringsDistance(x, y - lab.ascent + lab.height / 2, lab.rings) <= 0) return;
+
+            const box = boxAt(lab, x, y);
+            const overlap = placed.reduce((sum, other) => sum + overlapArea(box, other), 0);
+            const score = overlap * 100 + Math.hypot(x - lab.x, y - baseline) * 0.5;
+            if (!best || score < best.score) best = { x, y, box, overlap, score };
+        });
+
+        lab.x = best.x;
+        lab.y = best.y;
+        placed.push(best.box);
+        if (best.overlap > 0) crowded.push(lab);
+    });
+
+    return crowded;
+}
+
+/**
+ * Move labels that can't sit next to their anchor without overlap out to
+ * open space, preferably over the sea, with a leader line back to the
+ * anchor. Labels marked force (region labels wider than their region)
+ * move whenever a clear spot exists; the rest only if they overlap
+ * something. Moved labels get new x, y and posIdx.
+ * @param {Array<Object>} callouts - { lab: { x, y, width, height }, anchor: { x, y, r }, marker, force }
+ * @param {Array<Object>} obstacles - Boxes to avoid ({ x, y, width, height }): fixed labels and markers
+ * @param {Array<Array<number>>} extent - [[x0, y0], [x1, y1]] labels must stay within
+ * @param {function(number, number): boolean} onLand - Whether a map position is on land
+ * @returns {Array<Object>} Leader lines ({ x1, y1, x2, y2 }), from anchor to label
+ */
+function placeCallouts(callouts, obstacles, extent, onLand) {
+    const [[x0, y0], [x1, y1]] = extent;
+    const leaders = [];
+    const boxOf = lab => ({ x: lab.x, y: lab.y - lab.height, width: lab.width, height: lab.height });
+
+    // Everything a label must not touch: other labels, fixed labels and
+    // markers other than its own
+    const blockers = callout => [
+        ...callouts.filter(other => other !== callout).map(other => boxOf(other.lab)),
+        ...obstacles.filter(box => box !== callout.marker)
+    ];
+    const crowding = (box, boxes) => boxes.reduce((sum, other) => sum + overlapArea(box, other), 0);
+
+    callouts.forEach(callout => {
+        const { lab, anchor } = callout;
+        const boxes = blockers(callout);
+        if (!callout.force && crowding(boxOf(lab), boxes) < 1) return;
+
+        let best = null;
+        CALLOUT_RADII.forEach(radius => {
+            for (let k = 0; k < CALLOUT_DIRECTIONS; k++) {
+                const angle = 2 * Math.PI * k / CALLOUT_DIRECTIONS;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                const px = anchor.x + radius * cos;
+                const py = anchor.y + radius * sin;
+
+                // Put the label's near side at the point
+                const x = Math.abs(cos) < 0.3 ? px - lab.width / 2 : cos > 0 ? px : px - lab.width;
+                const y = Math.abs(sin) < 0.3 ? py + lab.height / 2 : sin > 0 ? py + lab.height : py;
+                const box = { x, y: y - lab.height, width: lab.width, height: lab.height };
+                if (box.x < x0 || box.x + box.width > x1 || box.y < y0 || y > y1) continue;
+                if (crowding(box, boxes) > 0) continue;
+
+                // Leader to the nearest point of the label
+                const end = {
+                    x: Math.min(Math.max(anchor.x, box.x), box.x + box.width),
+                    y: Math.min(Math.max(anchor.y, box.y), box.y + box.height)
+                };
+                const crossings =
+                    boxes.filter(b => lineIntersectsRect(anchor.x, anchor.y, end.x, end.y, b.x, b.y, b.x + b.width, b.y + b.height)).length +
+                    leaders.filter(l => lineIntersectsLine(anchor.x, anchor.y, end.x, end.y, l.x1, l.y1, l.x2, l.y2)).length;
+
+                const score = radius * 0.5 + crossings * 20 +
+                    (onLand(box.x + box.width / 2, box.y + box.height / 2) ? 30 : 0);
+                if (!best || score < best.score) {
+                    best = { x, y, end, score };
+                }
+            }
+        });
+
+        if (best) {
+            lab.x = best.x;
+            lab.y = best.y;
+            lab.posIdx = nearestPosIdx(lab, anchor);
+            callout.moved = true;
+            leaders.push({ x1: anchor.x, y1: anchor.y, x2: best.end.x, y2: best.end.y });
+        }
+    });
+
+    return leaders;
+}
+
+// 2D context for measuring text, created on first use (null without OffscreenCanvas)
+let measureContext;
+
+/**
+ * Measure a label without a DOM. Uses an OffscreenCanvas where there is
+ * one (browsers, including workers); headless renders get an estimate
+ * from the font size.
+ * @param {string} text - Label text
+ * @param {Object} font - { size (pt), weight }
+ * @returns {{width: number, height: number, ascent: number}} Size in px; ascent is baseline to top
+ */
+export function measureLabel(text, font) {
+    const fontSize = font.size * 4 / 3;
+
+    if (measureContext === undefined) {
+        measureContext = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1).getContext('2d') : null;
+    }
+    if (measureContext) {
+        measureContext.font = `${font.weight} ${fontSize}px Optima, sans-serif`;
+        const metrics = measureContext.measureText(text);
+        if (metrics.fontBoundingBoxAscent !== undefined) {
+            return {
+                width: metrics.width,
+                height: metrics.fontBoundingBoxAscent + metrics.fontBoundingBoxDescent,
+                ascent: metrics.fontBoundingBoxAscent
+            };
+        }
+        return { width: metrics.width, height: fontSize * 1.2, ascent: fontSize * 0.9 };
+    }
+
+    return { width: text.length * fontSize * 0.55, height: fontSize * 1.2, ascent: fontSize * 0.9 };
+}
+
+/**
+ * Find the requested cities in cities.geojson, keeping one capital per US
+ * state and dropping cities the projection can't show
+ * @param {Object} mapData - Map configuration
+ * @param {Object} layers - Base layers (see loadBaseLayers)
+ * @param {d3.GeoProjection} projection - Map projection
+ * @param {boolean} isUsMap - US or county map
+ * @param {boolean} dedupeCapitals - Keep one capital per US state
+ * @returns {Array<Object>} City features, with isCapital
+ */
+function matchCities(mapData, { citiesData, states }, projection, isUsMap, dedupeCapitals) {
+    let requestedCities = citiesData.features.filter(city =>
+        mapData.cities.some(c => {
+            // For US maps, only show US cities
+            if (isUsMap && !smartMatch('united states of america', city.properties.ADM0NAME, true)) {
+                return false;
+            }
+
+            return cityMatches(c, city);
+        })
+    ).map(city => {
+        // Attach isCapital property from mapData
+        const cityConfig = mapData.cities.find(c => cityMatches(c, city));
+        return {
+            ...city,
+            isCapital: cityConfig ? cityConfig.isCapital : false
+        };
+    });
+
+    // Deduplicate capitals: Ensure only one capital per US state
+    if (dedupeCapitals && states?.features) {
+        const capitals = requestedCities.filter(c => c.isCapital);
+        const nonCapitals = requestedCities.filter(c => !c.isCapital);
+        const capitalsByState = {};
+        const unmappedCapitals = [];
+
+        // Map capitals to states
+        capitals.forEach(city => {
+            const coords = city.geometry.coordinates;
+            const state = states.features.find(s => mayContain(s, coords) && d3.geoContains(s, coords));
+            if (state) {
+                const stateName = state.properties.name;
+                if (!capitalsByState[stateName]) capitalsByState[stateName] = [];
+                capitalsByState[stateName].push(city);
+            } else {
+                unmappedCapitals.push(city);
+            }
+        });
+
+        const filteredCapitals = [...unmappedCapitals];
+
+        // Resolve conflicts
+        Object.entries(capitalsByState).forEach(([stateName, candidates]) => {
+            if (candidates.length === 1) {
+                filteredCapitals.push(candidates[0]);
+            } else {
+                // Count occurrences of each name in the full set to find "uniqueness"
+                const nameCounts = {};
+                requestedCities.forEach(c => {
+                    const name = c.properties.NAME;
+                    nameCounts[name] = (nameCounts[name] || 0) + 1;
+                });
+
+                // Sort by frequency (lowest first) -> most unique name wins
+                candidates.sort((a, b) => {
+                    const countA = nameCounts[a.properties.NAME] || 0;
+                    const countB = nameCounts[b.properties.NAME] || 0;
+                    return countA - countB;
+                });
+
+                const winner = candidates[0];
+                filteredCapitals.push(winner);
+
+                log('D3', 'Resolved capital conflict', {
+                    state: stateName,
+                    kept: winner.properties.NAME,
+                    dropped: candidates.slice(1).map(c => c.properties.NAME)
+                });
+            }
+        });
+
+        requestedCities = [...nonCapitals, ...filteredCapitals];
+    }
+
+    // Drop cities the projection can't show (e.g. the far side of a globe)
+    return requestedCities.filter(city => visiblePoint(projection, city.geometry.coordinates));
+}
+
+/**
+ * Compute a map's layout: projected paths for every layer, city positions
+ * and placed labels
+ * @param {Object} mapData - Map configuration (after applyChoropleth). Labels
+ *   are placed as mapData.labelPlacement says: { strategy (LABEL_STRATEGIES),
+ *   weights: { w_len, w_lab2, w_fixed }, sweeps, seed, callouts }
+ * @param {Object} options
+ * @param {Array<Array<number>>} options.extent - [[x0, y0], [x1, y1]] to fit the map into
+ * @param {function(string): Promise<Object>} [options.load=loadJSON] - GeoJSON loader
+ * @param {function(string, Object): Object} [options.measure=measureLabel] - Label measurer
+ * @returns {Promise<Object>} Layout:
+ *   regions: { countries, states, admin1 } - Arrays of { d, fill, name, code, role } (code: ISO_A3, postal,
+ *     ISO 3166-2 or FIPS code; role: 'base', 'highlight' or 'data' for choropleth colors)
+ *   borders: { lines, lineWidth, states, disputed } - Arrays of path data
+ *   cities: Array of { name, isCapital, x, y, label: { x, y, posIdx } }
+ *   regionLabels: Array of { text, x, y, anchor, visible, posIdx }
+ *   leaders: Array of { x1, y1, x2, y2 } - Leader lines from markers to callout labels
+ */
+export async function computeLayout(mapData, { extent, load = loadJSON, measure = measureLabel }) {
+    // Load map data (world topology, or the GeoJSON files without it)
+    const layers = await loadBaseLayers(load).catch(error => {
+        log('D3', 'Error loading GeoJSON', { error: error.message });
+        throw error;
+    });
+    const { countries, states, countryBounds, stateBounds, citiesData, disputedBounds } = layers;
+
+    if (!countries?.features || !states?.features || !countryBounds?.features || !stateBounds?.features || !citiesData?.features) {
+        throw new Error('Failed to load one or more GeoJSON files');
+    }
+
+    // County maps are US maps drawn at county level
+    const isUsMap = mapData.mapType === 'us' || mapData.mapType === 'county';
+
+    // Provinces and other admin-1 regions outside the US (ISO 3166-2 codes)
+    const admin1 = !isUsMap ? await loadAdmin1(mapData, load) : [];
+
+    // US counties (TopoJSON from us-atlas), keyed by 5-digit FIPS code
+    const { counties, countyLines } = mapData.mapType === 'county' ? await loadCounties(load) : { counties: null, countyLines: null };
+
+    const codeOf = d => d.properties.postal || d.properties.ISO_A3 || d.properties.iso_3166_2 || d.properties.fips;
+    const nameOf = d => d.properties.name || d.properties.NAME;
+
+    // Auto maps frame the highlighted regions and requested cities
+    let bounds = null;
+    if (mapData.mapType === 'auto') {
+        const highlighted = [...countries.features, ...states.features, ...admin1]
+            .filter(d => mapData.highlightColors?.[codeOf(d)]);
+        const cityPoints = citiesData.features.filter(city => mapData.cities?.some(c => cityMatches(c, city)));
+        bounds = focusBounds([...highlighted, ...cityPoints]);
+    }
+
+    const projection = createProjection(mapData, extent, bounds);
+    const path = d3.geoPath().projection(projection);
+
+    // Whether a map position is on land (for keeping callouts at sea)
+    const land = isUsMap ? states.features : countries.features;
+    const onLand = (x, y) => {
+        const point = projection.invert && projection.invert([x, y]);
+        if (!point || isNaN(point[0]) || isNaN(point[1])) return false;
+        return land.some(f => mayContain(f, point) && d3.geoContains(f, point));
+    };
+
+    const hasHighlightedStates = mapData.states?.some(s =>
+        /^[A-Z]{2}$/.test(s.postalCode) && mapData.highlightColors?.[s.postalCode]
+    );
+
+    // Force US states if USA is highlighted or cities are shown
+    const shouldShowUSStates = hasHighlightedStates ||
+                             (mapData.highlightColors && mapData.highlightColors['USA']) ||
+                             (mapData.cities && mapData.cities.length > 0);
+
+    // Use countries for world maps (to keep USA as one fill), states for US-only maps
+    const features = counties || (isUsMap ? states.features : countries.features);
+
+    // Highlighted states go on top of the country layer for world maps
+    const stateFeatures = (!isUsMap && hasHighlightedStates)
+        ? states.features.filter(s => mapData.highlightColors && mapData.highlightColors[s.properties.postal])
+        : [];
+
+    // What a region's fill stands for: the base color, a highlight, or a data value
+    const roleOf = code => Number.isFinite(mapData.choropleth?.values?.[code]) ? 'data'
+        : mapData.highlightColors?.[code] ? 'highlight' : 'base';
+
+    const regions = {
+        countries: features.map(d => ({
+            d: path(d),
+            fill: (mapData.highlightColors && mapData.highlightColors[codeOf(d)]) || mapData.defaultFill,
+            name: nameOf(d),
+            code: codeOf(d),
+            role: roleOf(codeOf(d))
+        })),
+        states: stateFeatures.map(d => ({
+            d: path(d),
+            fill: mapData.highlightColors[d.properties.postal],
+            name: nameOf(d),
+            code: d.properties.postal,
+            role: roleOf(d.properties.postal)
+        })),
+        admin1: admin1.filter(d => mapData.highlightColors?.[d.properties.iso_3166_2])
+            .map(d => ({
+                d: path(d),
+                fill: mapData.highlightColors[d.properties.iso_3166_2],
+                name: d.properties.name,
+                code: d.properties.iso_3166_2,
+                role: roleOf(d.properties.iso_3166_2)
+            }))
+    };
+
+    // Bounds (hairline county lines on county maps); state bounds in world
+    // view and over the counties; disputed bounds on world maps
+    const borders = {
+        lines: (countyLines ? [countyLines] : isUsMap ? stateBounds.features : countryBounds.features).map(d => path(d)),
+        lineWidth: countyLines ? '0.25' : '1',
+        states: (!isUsMap && shouldShowUSStates) || counties ? stateBounds.features.map(d => path(d)) : [],
+        disputed: !isUsMap && disputedBounds?.features ? disputedBounds.features.map(d => path(d)) : []
+    };
+
+    // Cities, with their labels on the first candidate until placed
+    const cities = (mapData.cities ? matchCities(mapData, layers, projection, isUsMap, isUsMap || shouldShowUSStates) : [])
+        .map(city => {
+            const [x, y] = projection(city.geometry.coordinates);
+            const size = measure(city.properties.NAME, CITY_LABEL_FONT);
+            const candidates = labelCandidates([x, y], size.width, city.isCapital ? 2 : 1);
+            return {
+                name: city.properties.NAME,
+                isCapital: city.isCapital,
+                x,
+                y,
+                label: { ...candidates[0], width: size.width, height: size.height, candidates }
+            };
+        });
+
+    // Country/state labels. For world maps, include both highlighted
+    // countries and states; only labelled counties get text (there are
+    // over 3,000 of them)
+    const featuresForLabels = counties ? counties.filter(d => mapData.highlightColors?.[d.properties.fips] ||
+            mapData.states?.some(s => s.postalCode === d.properties.fips && s.label)) :
+        isUsMap ? states.features :
+        [...(hasHighlightedStates ?
+            [...countries.features.filter(f => f.properties.ISO_A3 !== 'USA'), ...states.features] :
+            countries.features), ...admin1];
+
+    // Projected outline, width and pole of each labelled region
+    const regionShapes = new Map();
+
+    const regionLabels = featuresForLabels.map(d => {
+        const code = codeOf(d);
+        // The cached centroid, projected; NaN where the projection clips it
+        // (the far side of a globe)
+        const lonLat = featureCentroid(d);
+        const centroid = path({ type: 'Point', coordinates: lonLat }) ? projection(lonLat) : [NaN, NaN];
+
+        // Prioritize the custom label from the LLM (e.g. "CA")
+        const label = mapData.states?.find(s => s.postalCode === code)?.label;
+        const isHighlighted = mapData.highlightColors && mapData.highlightColors[code];
+        const hasCustomLabel = mapData.states?.some(s => s.postalCode === code && s.label);
+
+        const regionLabel = {
+            // Highlighted regions show their label or name; others only a custom label
+            text: isHighlighted ? label || nameOf(d) : label || '',
+            x: !isNaN(centroid[0]) ? centroid[0] : 0,
+            y: !isNaN(centroid[1]) ? centroid[1] : 0,
+            anchor: 'middle',
+            // Show label if showLabels is true AND (it's highlighted OR it has a custom label)
+            visible: Boolean(mapData.showLabels && (isHighlighted || hasCustomLabel) && !isNaN(centroid[0]) && !isNaN(centroid[1]))
+        };
+        if (regionLabel.visible && regionLabel.text) {
+            // Anchor at the pole of inaccessibility, which unlike the
+            // centroid is always inside the region
+            const rings = projectedRings(d, projection);
+            const pole = polylabel(rings);
+            if (pole) {
+                regionLabel.x = pole.x;
+                regionLabel.y = pole.y;
+            }
+            const [[left], [right]] = path.bounds(d);
+            regionShapes.set(regionLabel, { rings, regionWidth: right - left, room: pole ? pole.distance : 0 });
+        }
+        return regionLabel;
+    });
+
+    const placement = { ...LABEL_PLACEMENT_DEFAULTS, ...mapData.labelPlacement };
+
+    // County labels move like city labels, starting from the county's
+    // pole; other region labels are placed first and then avoided
+    const shownRegionLabels = regionLabels.filter(lab => lab.visible && lab.text);
+    const countyLabels = counties ? shownRegionLabels : [];
+    const countyLabelData = countyLabels.map(lab => {
+        lab.anchor = 'start';
+        const size = measure(lab.text, REGION_LABEL_FONT);
+        const centroid = [lab.x, lab.y];
+        return {
+            // Start centered on the county
+            x: centroid[0] - size.width / 2,
+            y: centroid[1] + 3,
+            width: size.width,
+            height: size.height,
+            // The 8 marker positions, then centered on the county
+            candidates: [
+                ...labelCandidates(centroid, size.width, 0),
+                { x: centroid[0] - size.width / 2, y: centroid[1] + 3 }
+            ]
+        };
+    });
+
+    // Country/state labels avoid each other; labels of regions too small
+    // to hold them (Luxembourg, Rhode Island) and labels that still
+    // collide become callouts. The rest are fixed anchors for city labels.
+    const regionCallouts = [];
+    const fixedAnchors = [];
+    if (!counties) {
+        const sized = shownRegionLabels.map(lab => {
+            const size = measure(lab.text, REGION_LABEL_FONT);
+            return {
+                label: lab,
+                pole: { x: lab.x, y: lab.y },
+                // Centered on the pole: x is the middle, y the baseline
+                x: lab.x,
+                y: lab.y + size.ascent - size.height / 2,
+                ...size,
+                ...regionShapes.get(lab)
+            };
+        });
+        const tooBig = placement.callouts ? sized.filter(lab => lab.width > lab.regionWidth) : [];
+        const crowded = placeRegionLabels(sized.filter(lab => !tooBig.includes(lab)));
+        const moving = placement.callouts ? [...tooBig, ...crowded] : [];
+
+        sized.forEach(lab => {
+            lab.label.x = lab.x;
+            lab.label.y = lab.y;
+            if (moving.includes(lab)) {
+                // Callout boxes are given by their bottom; the text sits a
+                // descent above it
+                regionCallouts.push({
+                    region: lab.label,
+                    lab: { x: lab.x - lab.width / 2, y: lab.y - lab.ascent + lab.height, width: lab.width, height: lab.height },
+                    descent: lab.height - lab.ascent,
+                    anchor: { x: lab.pole.x, y: lab.pole.y, r: 0 },
+                    force: true
+                });
+            } else {
+                fixedAnchors.push({ x: lab.x - lab.width / 2, y: lab.y - lab.ascent, width: lab.width, height: lab.height });
+            }
+        });
+    }
+
+    const labelData = [...cities.map(city => city.label), ...countyLabelData];
+    // Marker half-sizes: capital stars, city dots, none for counties
+    const anchorData = [
+        ...cities.map(city => ({ x: city.x, y: city.y, r: city.isCapital ? 4 : 2 })),
+        ...countyLabels.map(lab => ({ x: lab.x, y: lab.y, r: 0 }))
+    ];
+    let leaders = [];
+
+    if (labelData.length > 0 || regionCallouts.length > 0) {
+        try {
+            if (placement.strategy !== 'annealing') {
+                placeLabels(labelData, anchorData, fixedAnchors);
+            }
+            if (placement.strategy !== 'greedy') {
+                annealLabels(labelData, anchorData, fixedAnchors, placement, extent);
+            }
+
+            // Labels that still overlap something, and oversized region
+            // labels, move out to open space with a leader line
+            if (placement.callouts) {
+                const markers = cities.map(city => {
+                    const r = city.isCapital ? 4 : 2;
+                    return { x: city.x - r, y: city.y - r, width: r * 2, height: r * 2 };
+                });
+                const callouts = [
+                    ...regionCallouts,
+                    ...labelData.map((lab, i) => ({ lab, anchor: anchorData[i], marker: markers[i] }))
+                ];
+                leaders = placeCallouts(callouts, [...fixedAnchors, ...markers], extent, onLand);
+
+                regionCallouts.filter(callout => callout.moved).forEach(({ region, lab, descent }) => {
+                    region.x = lab.x;
+                    region.y = lab.y - descent;
+                    region.anchor = 'start';
+                    region.posIdx = lab.posIdx;
+                });
+            }
+
+            countyLabels.forEach((lab, i) => {
+                const placed = countyLabelData[i];
+                if (placed.posIdx !== undefined) {
+                    lab.x = placed.x;
+                    lab.y = placed.y;
+                    lab.posIdx = placed.posIdx;
+                }
+            });
+
+            log('D3', 'Label collision avoidance complete', {
+                strategy: placement.strategy,
+                cityLabels: cities.length,
+                countyLabels: countyLabels.length,
+                fixedAnchors: fixedAnchors.length,
+                leaders: leaders.length
+            });
+        } catch (err) {
+            log('D3', 'Label collision avoidance error', { error: err.message });
+        }
+    }
+
+    return {
+        regions,
+        borders,
+        cities: cities.map(({ label, ...city }) => ({ ...city, label: { x: label.x, y: label.y, posIdx: label.posIdx } })),
+        regionLabels,
+        leaders
+    };
+}
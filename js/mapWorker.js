@@ -0,0 +1,29 @@
+/**
+ * Layout worker: computes map layouts (projection, city matching, label
+ * placement) off the page's main thread. Started as a module worker by
+ * mapVisualization.js.
+ *
+ * Protocol:
+ *   page -> worker  { id, type: 'layout', mapData, extent }
+ *   worker -> page  { id, type: 'layout', layout }   (see computeLayout)
+ *                   { id, type: 'error', message }
+ */
+
+import './workerGlobals.js';
+import { computeLayout } from './mapLayout.js';
+import { loadJSON } from './geoData.js';
+
+// Data paths are relative to the site root, not to this script
+const siteRoot = new URL('../', import.meta.url);
+const loadFromSiteRoot = path => loadJSON(new URL(path, siteRoot).href);
+
+self.onmessage = async ({ data }) => {
+    if (data.type !== 'layout') return;
+
+    try {
+        const layout = await computeLayout(data.mapData, { extent: data.extent, load: loadFromSiteRoot });
+        self.postMessage({ id: data.id, type: 'layout', layout });
+    } catch (error) {
+        self.postMessage({ id: data.id, type: 'error', message: error.message });
+    }
+};
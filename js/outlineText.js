@@ -0,0 +1,156 @@
+/**
+ * Text to outlines for the static exports (PNG, PDF, EPS). Each label
+ * becomes a path drawn with the bundled label font, Tenor Sans (SIL Open
+ * Font License, fonts/OFL.txt), so the output looks the same everywhere
+ * and needs no fonts on the machine that opens it. Uses opentype.js
+ * (global `opentype`).
+ */
+
+import { log } from './logger.js';
+
+/**
+ * Label font files, in fallback order (each covers part of Unicode)
+ */
+export const LABEL_FONT_FILES = [
+    'fonts/tenor-sans-latin-400-normal.woff',
+    'fonts/tenor-sans-latin-ext-400-normal.woff'
+];
+
+// Tenor Sans has no bold; bold text gets an outline this share of its size
+const FAUX_BOLD_STROKE = 0.04;
+
+// reader -> Promise of parsed fonts
+const fontCache = new Map();
+
+/**
+ * Fetch a file as an ArrayBuffer
+ * @param {string} path - Path relative to the page
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+async function fetchArrayBuffer(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.arrayBuffer();
+}
+
+/**
+ * Load the label fonts once per reader
+ * @param {function(string): Promise<ArrayBuffer>} [read] - File reader (path relative to the site root)
+ * @returns {Promise<Array<opentype.Font>>} Fonts, in fallback order
+ */
+export function loadLabelFonts(read = fetchArrayBuffer) {
+    if (!fontCache.has(read)) {
+        log('EXPORT', 'Loading label fonts');
+        const loading = Promise.all(LABEL_FONT_FILES.map(async path => opentype.parse(await read(path))));
+        loading.catch(error => {
+            log('EXPORT', 'Error loading label fonts', { error: error.message });
+            fontCache.delete(read);
+        });
+        fontCache.set(read, loading);
+    }
+    return fontCache.get(read);
+}
+
+/**
+ * Font size in px from an SVG font-size ('6pt', '12px' or a number)
+ * @param {string} value - font-size attribute
+ * @returns {number} Size in px
+ */
+function fontSizePx(value) {
+    const size = parseFloat(value) || 10;
+    return /pt$/.test(value || '') ? size * 4 / 3 : size;
+}
+
+/**
+ * Path data for an opentype.js path. Its own toPathData drops the space
+ * before coordinates that round to -0 ("10.960" for "10.96 0").
+ * @param {opentype.Path} path - Glyph path
+ * @returns {string} Path data, to 2 decimals
+ */
+function pathData(path) {
+    const n = value => String(Math.round(value * 100) / 100 || 0);
+    return path.commands.map(c => {
+        switch (c.type) {
+            case 'M':
+            case 'L': return `${c.type}${n(c.x)} ${n(c.y)}`;
+            case 'Q': return `Q${n(c.x1)} ${n(c.y1)} ${n(c.x)} ${n(c.y)}`;
+            case 'C': return `C${n(c.x1)} ${n(c.y1)} ${n(c.x2)} ${n(c.y2)} ${n(c.x)} ${n(c.y)}`;
+            default: return 'Z';
+        }
+    }).join('');
+}
+
+/**
+ * Outline a line of text, taking each character from the first font that has it
+ * @param {string} text - Text
+ * @param {Array<opentype.Font>} fonts - Fonts, in fallback order
+ * @param {number} size - Font size in px
+ * @returns {{d: string, width: number}} Path data with the baseline at y = 0 from x = 0, and the advance width
+ */
+function outlineLine(text, fonts, size) {
+    let x = 0;
+    let d = '';
+    let previous = null;
+
+    for (const char of text) {
+        const font = fonts.find(f => f.charToGlyphIndex(char) > 0) || fonts[0];
+        const glyph = font.charToGlyph(char);
+        const unit = size / font.unitsPerEm;
+
+        if (previous && previous.font === font) {
+            x += font.getKerningValue(previous.glyph, glyph) * unit;
+        }
+        d += pathData(glyph.getPath(x, 0, size));
+        x += glyph.advanceWidth * unit;
+        previous = { font, glyph };
+    }
+
+    return { d, width: x };
+}
+
+/**
+ * Replace every text element in an SVG with a path of its outlines. Hidden
+ * text is dropped. Paths keep the text's attributes other than its font
+ * and position, and carry the text as aria-label.
+ * @param {SVGSVGElement} svg - SVG to change in place (pass a clone)
+ * @param {Array<opentype.Font>} fonts - Fonts from loadLabelFonts
+ */
+export function outlineText(svg, fonts) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const skip = ['x', 'y', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'style'];
+
+    svg.querySelectorAll('text').forEach(text => {
+        const content = text.textContent;
+        if (!content || text.style.display === 'none') {
+            text.remove();
+            return;
+        }
+
+        const size = fontSizePx(text.getAttribute('font-size'));
+        const { d, width } = outlineLine(content, fonts, size);
+        const anchor = text.getAttribute('text-anchor') || 'start';
+        const x = parseFloat(text.getAttribute('x') || 0) - (anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0);
+        const y = parseFloat(text.getAttribute('y') || 0);
+        const fill = text.getAttribute('fill') || '#000000';
+
+        const path = svg.ownerDocument.createElementNS(ns, 'path');
+        [...text.attributes].forEach(attribute => {
+            if (!skip.includes(attribute.name)) path.setAttribute(attribute.name, attribute.value);
+        });
+        path.setAttribute('d', d || 'M0,0');
+        path.setAttribute('transform', `translate(${x}, ${y})`);
+        path.setAttribute('fill', fill);
+        path.setAttribute('aria-label', content);
+
+        const weight = text.style.fontWeight || text.getAttribute('font-weight');
+        if (weight === 'bold' || Number(weight) >= 600) {
+            path.setAttribute('stroke', fill);
+            path.setAttribute('stroke-width', String(size * FAUX_BOLD_STROKE));
+            path.setAttribute('stroke-linejoin', 'round');
+        }
+
+        text.replaceWith(path);
+    });
+}
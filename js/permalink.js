@@ -0,0 +1,41 @@
+import { log } from './logger.js';
+
+const HASH_KEY = 'map';
+
+/**
+ * Build a shareable URL that carries the map spec in its hash
+ * @param {Object} mapData - Map configuration
+ * @returns {string} Permalink URL
+ */
+export function createPermalink(mapData) {
+    const json = JSON.stringify(mapData);
+    const encoded = btoa(unescape(encodeURIComponent(json)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+
+    const url = new URL(window.location.href);
+    url.search = '';
+    url.hash = `${HASH_KEY}=${encoded}`;
+    return url.toString();
+}
+
+/**
+ * Read a map spec from a permalink hash
+ * @param {string} hash - URL hash (e.g. window.location.hash)
+ * @returns {Object|null} Map configuration, or null if the hash has none
+ */
+export function readPermalink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(HASH_KEY);
+    if (!encoded) return null;
+
+    try {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const json = decodeURIComponent(escape(atob(base64)));
+        return JSON.parse(json);
+    } catch (error) {
+        log('APP', 'Error reading permalink', { error: error.message });
+        throw new Error('This map link is damaged or incomplete');
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Label anchors inside regions: the pole of inaccessibility (the point
+ * farthest from the region's edges), found with Mapbox's polylabel
+ * algorithm on projected outlines. Unlike the centroid it always falls
+ * inside the region, even for shapes like Norway or Chile.
+ */
+
+/**
+ * Project a feature's outlines to screen coordinates
+ * @param {Object} feature - GeoJSON feature
+ * @param {d3.GeoProjection} projection - Map projection (its clipping applies)
+ * @returns {Array<Array<Array<number>>>} Rings of [x, y] points
+ */
+export function projectedRings(feature, projection) {
+    const rings = [];
+    let ring = null;
+
+    d3.geoStream(feature, projection.stream({
+        point(x, y) { if (ring) ring.push([x, y]); },
+        lineStart() { ring = []; },
+        lineEnd() {
+            if (ring.length > 2) rings.push(ring);
+            ring = null;
+        },
+        polygonStart() {},
+        polygonEnd() {},
+        sphere() {}
+    }));
+
+    return rings;
+}
+
+/**
+ * Squared distance from a point to a segment
+ * @returns {number} Squared distance
+ */
+function segmentDistanceSq(px, py, a, b) {
+    let [x, y] = a;
+    let dx = b[0] - x;
+    let dy = b[1] - y;
+
+    if (dx !== 0 || dy !== 0) {
+        const t = ((px - x) * dx + (py - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            [x, y] = b;
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+
+    dx = px - x;
+    dy = py - y;
+    return dx * dx + dy * dy;
+}
+
+/**
+ * Signed distance from a point to the nearest edge of a set of rings
+ * (even-odd fill, so islands and holes both work)
+ * @param {number} x - X
+ * @param {number} y - Y
+ * @param {Array<Array<Array<number>>>} rings - Rings from projectedRings
+ * @returns {number} Distance, positive inside and negative outside
+ */
+export function ringsDistance(x, y, rings) {
+    let inside = false;
+    let minDistSq = Infinity;
+
+    for (const ring of rings) {
+        for (let i = 0, len = ring.length, j = len - 1; i < len; j = i++) {
+            const a = ring[i];
+            const b = ring[j];
+            if ((a[1] > y) !== (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) {
+                inside = !inside;
+            }
+            minDistSq = Math.min(minDistSq, segmentDistanceSq(x, y, a, b));
+        }
+    }
+
+    return (inside ? 1 : -1) * Math.sqrt(minDistSq);
+}
+
+/**
+ * Find the pole of inaccessibility of a set of rings
+ * @param {Array<Array<Array<number>>>} rings - Rings from projectedRings
+ * @param {number} [precision=1] - Precision in px
+ * @returns {{x: number, y: number, distance: number}|null} Pole and its distance to the nearest edge, or null for empty shapes
+ */
+export function polylabel(rings, precision = 1) {
+    if (!rings.length) return null;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const ring of rings) {
+        for (const [x, y] of ring) {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+    }
+
+    const cellSize = Math.min(maxX - minX, maxY - minY);
+    if (!(cellSize > 0)) return null;
+
+    const cell = (x, y, h) => {
+        const d = ringsDistance(x, y, rings);
+        return { x, y, h, d, max: d + h * Math.SQRT2 };
+    };
+
+    // Cells to visit, sorted by the best distance they could contain
+    const queue = [];
+    const push = c => {
+        let lo = 0;
+        let hi = queue.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (queue[mid].max < c.max) lo = mid + 1;
+            else hi = mid;
+        }
+        queue.splice(lo, 0, c);
+    };
+
+    const h = cellSize / 2;
+    for (let x = minX; x < maxX; x += cellSize) {
+        for (let y = minY; y < maxY; y += cellSize) {
+            push(cell(x + h, y + h, h));
+        }
+    }
+
+    let best = cell((minX + maxX) / 2, (minY + maxY) / 2, 0);
+
+    while (queue.length) {
+        const c = queue.pop();
+        if (c.d > best.d) best = c;
+        if (c.max - best.d <= precision) continue;
+
+        const half = c.h / 2;
+        push(cell(c.x - half, c.y - half, half));
+        push(cell(c.x + half, c.y - half, half));
+        push(cell(c.x - half, c.y + half, half));
+        push(cell(c.x + half, c.y + half, half));
+    }
+
+    return { x: best.x, y: best.y, distance: best.d };
+}
@@ -0,0 +1,187 @@
+/**
+ * Map projections. createProjection and visiblePoint are self-contained (they
+ * only use the global d3) so the D3 bundle can embed their source.
+ */
+
+/**
+ * Projections a spec may ask for. robinson comes from d3-geo-projection.
+ */
+export const PROJECTIONS = [
+    'albersUsa',
+    'equalEarth',
+    'naturalEarth',
+    'robinson',
+    'mercator',
+    'equirectangular',
+    'orthographic',
+    'conicConformal',
+    'conicEqualArea'
+];
+
+/**
+ * Map types a spec may ask for. Regional types frame a fixed area; auto
+ * frames whatever is highlighted.
+ */
+export const MAP_TYPES = ['world', 'us', 'county', 'europe', 'africa', 'asia', 'latam', 'middle-east', 'auto'];
+
+/**
+ * Padded [[west, south], [east, north]] bounds around some features, for
+ * auto maps. east may exceed 180 when the area crosses the antimeridian.
+ * @param {Array<Object>} features - GeoJSON features (regions and city points)
+ * @returns {Array<Array<number>>|null} Bounds, or null if there is nothing to fit
+ */
+export function focusBounds(features) {
+    if (!features.length) return null;
+
+    let [[west, south], [east, north]] = d3.geoBounds({ type: 'FeatureCollection', features });
+    if (east < west) east += 360;
+
+    // At least 8° x 6° so a single city isn't blown up, plus 10% padding
+    const padLon = Math.max(8 - (east - west), 0) / 2 + (east - west) * 0.1;
+    const padLat = Math.max(6 - (north - south), 0) / 2 + (north - south) * 0.1;
+
+    return [
+        [west - padLon, Math.max(south - padLat, -85)],
+        [east + padLon, Math.min(north + padLat, 85)]
+    ];
+}
+
+/**
+ * Build the projection for a map, framed to fit the given extent.
+ * mapData.projection ({ name, rotate, center, parallels, scale }) overrides
+ * the defaults: Albers USA for us and county maps, Equal Earth rotated 11° east for
+ * world maps, and a projection suited to the area for regional and auto
+ * maps. center is [lon, lat] and is placed in the middle of the extent;
+ * scale zooms in around it (1 = whole map fits).
+ * @param {Object} mapData - Map configuration
+ * @param {Array<Array<number>>} extent - [[x0, y0], [x1, y1]] to draw into
+ * @param {Array<Array<number>>} [bounds] - Area to fit for auto maps (see focusBounds)
+ * @returns {d3.GeoProjection} Projection
+ */
+export function createProjection(mapData, extent, bounds) {
+    const factories = {
+        albersUsa: () => d3.geoAlbersUsa(),
+        equalEarth: () => d3.geoEqualEarth(),
+        naturalEarth: () => d3.geoNaturalEarth1(),
+        robinson: () => d3.geoRobinson(),
+        mercator: () => d3.geoMercator(),
+        equirectangular: () => d3.geoEquirectangular(),
+        orthographic: () => d3.geoOrthographic(),
+        conicConformal: () => d3.geoConicConformal(),
+        conicEqualArea: () => d3.geoConicEqualArea()
+    };
+
+    // Area, default projection and standard parallels for each region
+    const regions = {
+        europe: { bounds: [[-25, 34], [45, 71]], name: 'conicConformal', parallels: [40, 65] },
+        africa: { bounds: [[-26, -36], [58, 38]], name: 'equalEarth' },
+        asia: { bounds: [[25, -11], [150, 56]], name: 'conicEqualArea', parallels: [15, 45] },
+        latam: { bounds: [[-118, -56], [-34, 33]], name: 'equalEarth' },
+        'middle-east': { bounds: [[24, 12], [64, 42]], name: 'conicConformal', parallels: [18, 38] }
+    };
+
+    const options = mapData.projection || {};
+    const isUs = mapData.mapType === 'us' || mapData.mapType === 'county';
+    let region = regions[mapData.mapType];
+    if (mapData.mapType === 'auto' && bounds) {
+        const span = bounds[1][1] - bounds[0][1];
+        region = {
+            bounds,
+            name: 'conicEqualArea',
+            parallels: [bounds[0][1] + span / 6, bounds[1][1] - span / 6]
+        };
+    }
+    const name = options.name || (isUs ? 'albersUsa' : region ? region.name : 'equalEarth');
+    if (!factories[name]) throw new Error(`Unknown projection: ${name}`);
+    if (name === 'robinson' && !d3.geoRobinson) throw new Error('The Robinson projection needs d3-geo-projection');
+
+    const [[x0, y0], [x1, y1]] = extent;
+    const width = x1 - x0;
+    const height = y1 - y0;
+    const middle = [x0 + width / 2, y0 + height / 2];
+    const center = options.center;
+    const projection = factories[name]();
+
+    // Rotation: explicit, else turn to face the center (the middle of the
+    // US or the region), else the world default
+    let regionMiddle = null;
+    if (region) {
+        const [[west, south], [east, north]] = region.bounds;
+        regionMiddle = [(west + east) / 2, (south + north) / 2];
+    }
+    if (name !== 'albersUsa') {
+        let rotate = options.rotate;
+        const facing = center || (isUs ? [-96, 38] : regionMiddle);
+        if (!rotate && facing) {
+            rotate = name === 'orthographic' ? [-facing[0], -facing[1]] : [-facing[0], 0];
+        }
+        if (!rotate) rotate = [-11, 0];  // Rotate globe 11° east to wrap Russia around
+        projection.rotate(rotate);
+    }
+    if (projection.parallels) {
+        const parallels = options.parallels || (isUs ? [29.5, 45.5] : region?.parallels);
+        if (parallels) projection.parallels(parallels);
+    }
+
+    if (name === 'albersUsa' && isUs) {
+        projection.scale(Math.min(width * 1.1, height * 1.8)).translate(middle);
+    } else if (name === 'equalEarth' && !isUs && !region && !options.rotate) {
+        projection.scale(Math.min(width / 4.6, height / 2.9)).translate(middle);
+    } else {
+        // Fit the region, the mainland US, the sphere, or (for projections
+        // that run to infinity at the poles) the sphere between 60°S and 80°N
+        let outline = { type: 'Sphere' };
+        if (region || isUs || name === 'mercator' || name === 'conicConformal') {
+            const [west, south, east, north] = region ? region.bounds.flat()
+                : isUs ? [-125, 24, -66, 50] : [-180, -60, 180, 80];
+            const coordinates = [];
+            for (let i = 0; i <= 12; i++) {
+                const lon = west + (east - west) * i / 12;
+                coordinates.push([lon, south], [lon, north]);
+            }
+            outline = { type: 'MultiPoint', coordinates };
+        }
+        projection.fitExtent(extent, outline);
+    }
+
+    // Zoom around the requested center, or the middle of the map
+    const zoom = options.scale || 1;
+    if (center || zoom !== 1) {
+        const focus = (center && projection(center)) || middle;
+        const [tx, ty] = projection.translate();
+        projection
+            .scale(projection.scale() * zoom)
+            .translate([middle[0] - (focus[0] - tx) * zoom, middle[1] - (focus[1] - ty) * zoom]);
+    }
+
+    // Regional maps are cut off at the frame instead of running off the page
+    if (region) projection.clipExtent(extent);
+
+    return projection;
+}
+
+/**
+ * Project a point, or return null if it is off the map (outside Albers USA's
+ * insets, outside a regional map's frame, or on the far side of a globe)
+ * @param {d3.GeoProjection} projection - Projection
+ * @param {Array<number>} coordinates - [lon, lat]
+ * @returns {Array<number>|null} [x, y] or null
+ */
+export function visiblePoint(projection, coordinates) {
+    const point = projection(coordinates);
+    if (!point || isNaN(point[0]) || isNaN(point[1])) return null;
+
+    const clipExtent = projection.clipExtent && projection.clipExtent();
+    if (clipExtent) {
+        const [[x0, y0], [x1, y1]] = clipExtent;
+        if (point[0] < x0 || point[0] > x1 || point[1] < y0 || point[1] > y1) return null;
+    }
+
+    const clipAngle = projection.clipAngle && projection.clipAngle();
+    if (clipAngle && projection.rotate) {
+        const [lambda, phi] = projection.rotate();
+        if (d3.geoDistance(coordinates, [-lambda, -phi]) > clipAngle * Math.PI / 180) return null;
+    }
+
+    return point;
+}
@@ -0,0 +1,184 @@
+/**
+ * SVG path data parsing, for the exporters that redraw the map's paths
+ * natively (PPTX freeforms, PDF and EPS).
+ */
+
+/**
+ * Parse SVG path data into absolute moveTo, lineTo, cubic curveTo and
+ * closePath commands. H and V become lines; S, Q and T become cubics;
+ * arcs (which the map never draws) become lines to their end point.
+ * @param {string} d - Path data
+ * @returns {Array<Array>} Commands: ['M', x, y], ['L', x, y], ['C', x1, y1, x2, y2, x, y] or ['Z']
+ */
+export function parsePath(d) {
+    const tokens = (d || '').match(/[MLHVCSQTAZmlhvcsqtaz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+    const commands = [];
+    let i = 0;
+    let command = null;
+
+    // Current point, start of the subpath, and the last control point (for S and T)
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastCubic = null, lastQuad = null;
+
+    const next = () => parseFloat(tokens[i++]);
+    const hasNumber = () => i < tokens.length && !/[A-Za-z]/.test(tokens[i]);
+
+    while (i < tokens.length) {
+        if (/[A-Za-z]/.test(tokens[i])) {
+            command = tokens[i++];
+        } else if (!command) {
+            break;
+        }
+        const relative = command === command.toLowerCase();
+        const dx = relative ? x : 0;
+        const dy = relative ? y : 0;
+        let cubic = null, quad = null;
+
+        switch (command.toUpperCase()) {
+            case 'M':
+                x = next() + dx;
+                y = next() + dy;
+                startX = x;
+                startY = y;
+                commands.push(['M', x, y]);
+                // Further coordinate pairs are implicit lineTos
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L':
+                x = next() + dx;
+                y = next() + dy;
+                commands.push(['L', x, y]);
+                break;
+            case 'H':
+                x = next() + dx;
+                commands.push(['L', x, y]);
+                break;
+            case 'V':
+                y = next() + dy;
+                commands.push(['L', x, y]);
+                break;
+            case 'C': {
+                const x1 = next() + dx, y1 = next() + dy;
+                const x2 = next() + dx, y2 = next() + dy;
+                x = next() + dx;
+                y = next() + dy;
+                commands.push(['C', x1, y1, x2, y2, x, y]);
+                cubic = [x2, y2];
+                break;
+            }
+            case 'S': {
+                // First control point mirrors the previous curve's second
+                const x1 = lastCubic ? 2 * x - lastCubic[0] : x;
+                const y1 = lastCubic ? 2 * y - lastCubic[1] : y;
+                const x2 = next() + dx, y2 = next() + dy;
+                x = next() + dx;
+                y = next() + dy;
+                commands.push(['C', x1, y1, x2, y2, x, y]);
+                cubic = [x2, y2];
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const [qx, qy] = command.toUpperCase() === 'Q'
+                    ? [next() + dx, next() + dy]
+                    : lastQuad ? [2 * x - lastQuad[0], 2 * y - lastQuad[1]] : [x, y];
+                const endX = next() + dx, endY = next() + dy;
+                // A quadratic is a cubic with control points 2/3 of the way to its own
+                commands.push(['C',
+                    x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y),
+                    endX + 2 / 3 * (qx - endX), endY + 2 / 3 * (qy - endY),
+                    endX, endY]);
+                x = endX;
+                y = endY;
+                quad = [qx, qy];
+                break;
+            }
+            case 'A':
+                i += 5;
+                x = next() + dx;
+                y = next() + dy;
+                commands.push(['L', x, y]);
+                break;
+            case 'Z':
+                commands.push(['Z']);
+                x = startX;
+                y = startY;
+                break;
+        }
+
+        lastCubic = cubic;
+        lastQuad = quad;
+
+        // Z takes no numbers; anything after it needs a new command
+        if (command.toUpperCase() === 'Z' && hasNumber()) break;
+    }
+
+    return commands;
+}
+
+/**
+ * Apply an affine transform to parsed path commands
+ * @param {Array<Array>} commands - Commands from parsePath
+ * @param {Array<number>} matrix - [a, b, c, d, e, f], as in SVG's matrix()
+ * @returns {Array<Array>} Transformed commands
+ */
+export function transformPath(commands, [a, b, c, d, e, f]) {
+    return commands.map(([type, ...coordinates]) => {
+        const out = [type];
+        for (let k = 0; k < coordinates.length; k += 2) {
+            const px = coordinates[k];
+            const py = coordinates[k + 1];
+            out.push(a * px + c * py + e, b * px + d * py + f);
+        }
+        return out;
+    });
+}
+
+/**
+ * Parse an SVG transform attribute (translate, scale, rotate and matrix)
+ * @param {string} transform - Transform attribute
+ * @returns {Array<number>} [a, b, c, d, e, f]
+ */
+export function parseTransform(transform) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const pattern = /(matrix|translate|scale|rotate)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = pattern.exec(transform || ''))) {
+        const values = match[2].split(/[\s,]+/).filter(Boolean).map(parseFloat);
+        let step;
+        if (match[1] === 'matrix') {
+            step = values;
+        } else if (match[1] === 'translate') {
+            step = [1, 0, 0, 1, values[0] || 0, values[1] || 0];
+        } else if (match[1] === 'scale') {
+            step = [values[0], 0, 0, values[1] ?? values[0], 0, 0];
+        } else {
+            const angle = (values[0] || 0) * Math.PI / 180;
+            const [cx = 0, cy = 0] = values.slice(1);
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            step = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        }
+        matrix = multiply(matrix, step);
+    }
+
+    return matrix;
+}
+
+/**
+ * Compose two affine transforms (m applied after n)
+ * @param {Array<number>} m - Outer transform
+ * @param {Array<number>} n - Inner transform
+ * @returns {Array<number>} m × n
+ */
+export function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
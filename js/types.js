@@ -8,7 +8,7 @@
  */
 
 /**
- * @typedef {'us' | 'world'} MapType
+ * @typedef {'us' | 'world' | 'europe' | 'africa' | 'asia' | 'latam' | 'middle-east' | 'auto'} MapType
  */
 
 /**
@@ -19,6 +19,16 @@
  * @property {Object.<string, string>} [highlightColors] - Map of postal codes to colors
  * @property {boolean} [showLabels=false] - Whether to show labels
  * @property {MapType} mapType - Type of map to render
+ * @property {LabelPlacement} [labelPlacement] - How city and county labels are placed
+ */
+
+/**
+ * @typedef {Object} LabelPlacement
+ * @property {'greedy' | 'annealing' | 'annealing-after-greedy'} [strategy='greedy'] - Placement strategy
+ * @property {{w_len: number, w_lab2: number, w_fixed: number}} [weights] - Annealing weights (distance, label overlap, fixed label overlap)
+ * @property {number} [sweeps=500] - Annealing sweeps
+ * @property {number} [seed=1] - Random seed; the same seed gives the same layout
+ * @property {boolean} [callouts=true] - Move labels that can't fit to open space, with a leader line
  */
 
 /**
@@ -41,7 +51,13 @@
  */
 const MapType = {
     US: 'us',
-    WORLD: 'world'
+    WORLD: 'world',
+    EUROPE: 'europe',
+    AFRICA: 'africa',
+    ASIA: 'asia',
+    LATAM: 'latam',
+    MIDDLE_EAST: 'middle-east',
+    AUTO: 'auto'
 };
 
 /**
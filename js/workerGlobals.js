@@ -0,0 +1,13 @@
+/**
+ * d3 and TopoJSON for the layout worker. Workers don't get the page's
+ * <script> globals, so this loads the same libraries as ES modules and
+ * installs them as globals the way the page (and lib/renderSvg.js) does.
+ * Import it before any module that uses them.
+ */
+
+import * as d3 from 'https://cdn.jsdelivr.net/npm/d3@7/+esm';
+import * as d3GeoProjection from 'https://cdn.jsdelivr.net/npm/d3-geo-projection@4/+esm';
+import * as topojson from 'https://cdn.jsdelivr.net/npm/topojson-client@3/+esm';
+
+globalThis.d3 = { ...d3, ...d3GeoProjection };
+globalThis.topojson = topojson;
@@ -0,0 +1,231 @@
+// Batch generation: one map per row of a CSV or JSONL file, packaged as a ZIP
+
+import JSZip from 'jszip';
+import { randomUUID } from 'crypto';
+import { requestMapData } from './claude.js';
+import { renderSvg } from './renderSvg.js';
+import { renderPptx } from './headlessExport.js';
+import { parseCsv } from '../js/csv.js';
+
+export const MAX_BATCH_ROWS = 100;
+export const DEFAULT_CONCURRENCY = 3;
+export const MAX_CONCURRENCY = 5;
+
+// Finished jobs (and their ZIPs) are kept this long for the client to download
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Read batch rows from a CSV or JSONL file. CSV files need a header row
+ * with a "description" (or "prompt") column and may have a "name" column.
+ * JSONL lines are objects with the same keys, or plain strings.
+ * @param {string} text - File contents
+ * @param {'csv'|'jsonl'} format - File format
+ * @returns {Array<{name: string, description: string}>} Rows
+ */
+export function parseBatchFile(text, format) {
+    let rows;
+    if (format === 'jsonl') {
+        rows = text.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map((line, i) => {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Line ${i + 1} is not valid JSON`);
+                }
+                if (typeof entry === 'string') return { name: '', description: entry };
+                if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                    throw new Error(`Line ${i + 1} must be a JSON object or string`);
+                }
+                return { name: String(entry.name || ''), description: String(entry.description || entry.prompt || '') };
+            });
+    } else {
+        const csv = parseCsv(text);
+        const header = (csv[0] || []).map(h => h.trim().toLowerCase());
+        const descIdx = header.findIndex(h => h === 'description' || h === 'prompt');
+        const nameIdx = header.indexOf('name');
+        if (descIdx < 0) throw new Error('The CSV needs a header row with a "description" (or "prompt") column');
+        rows = csv.slice(1).map(fields => ({
+            name: nameIdx >= 0 ? (fields[nameIdx] || '').trim() : '',
+            description: (fields[descIdx] || '').trim()
+        }));
+    }
+
+    if (!rows.length) throw new Error('The file has no rows');
+    if (rows.length > MAX_BATCH_ROWS) throw new Error(`Batches are limited to ${MAX_BATCH_ROWS} rows`);
+    return rows;
+}
+
+/**
+ * Run an async task over items with at most `limit` in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {function(*, number): Promise<*>} task - Task per item
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await task(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Folder name for a row's outputs, e.g. "003-asean-in-green"
+ * @param {{name: string, description: string}} row - Batch row
+ * @param {number} index - Zero-based row index
+ * @returns {string} Folder name
+ */
+function folderName(row, index) {
+    const slug = (row.name || row.description)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 40);
+    return `${String(index + 1).padStart(3, '0')}${slug ? `-${slug}` : ''}`;
+}
+
+/**
+ * Generate a map per row and package the results. Each row gets a folder
+ * with map.svg, map.pptx and spec.json, or error.txt if it failed;
+ * report.json summarises every row.
+ * @param {Array<{name: string, description: string}>} rows - Batch rows
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=3] - Rows generated at once
+ * @param {function(string, string, Object): void} [options.log] - Logger
+ * @param {function(number, Object): void} [options.onRow] - Called with a row's index and its
+ *   status ({ status: 'running' }, then its report entry) as it starts and finishes
+ * @returns {Promise<Buffer>} ZIP file contents
+ */
+export async function runBatch(rows, { concurrency = DEFAULT_CONCURRENCY, log = () => {}, onRow = () => {} } = {}) {
+    const zip = new JSZip();
+
+    const report = await mapWithConcurrency(rows, concurrency, async (row, i) => {
+        onRow(i, { status: 'running' });
+        const folder = zip.folder(folderName(row, i));
+        let result;
+        try {
+            if (!row.description) throw new Error('Row has no description');
+
+            const mapData = await requestMapData(row.description);
+            folder.file('spec.json', JSON.stringify(mapData, null, 2));
+            folder.file('map.svg', await renderSvg(mapData));
+            folder.file('map.pptx', await renderPptx(mapData));
+
+            log('BATCH', 'Row complete', { row: i + 1 });
+            result = { row: i + 1, name: row.name, description: row.description, status: 'ok' };
+        } catch (error) {
+            folder.file('error.txt', `${row.description}\n\n${error.message}\n`);
+
+            log('BATCH', 'Row failed', { row: i + 1, error: error.message });
+            result = { row: i + 1, name: row.name, description: row.description, status: 'error', error: error.message };
+        }
+        onRow(i, result);
+        return result;
+    });
+
+    zip.file('report.json', JSON.stringify(report, null, 2));
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+/**
+ * In-memory store of batch jobs. A batch runs for longer than an HTTP
+ * request may (Heroku's router gives up after 30 seconds), so the server
+ * starts a job, the client polls its per-row status and then downloads
+ * the ZIP. Jobs do not survive a restart.
+ * @param {Object} [options]
+ * @param {function(string, string, Object): void} [options.log] - Logger
+ */
+export function createBatchJobs({ log = () => {} } = {}) {
+    const jobs = new Map();
+
+    const dropExpired = () => {
+        const now = Date.now();
+        jobs.forEach((job, id) => {
+            if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+        });
+    };
+
+    const summary = job => ({
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        total: job.rows.length,
+        done: job.rows.filter(r => r.status === 'ok' || r.status === 'error').length,
+        failed: job.rows.filter(r => r.status === 'error').length,
+        error: job.error,
+        rows: job.rows
+    });
+
+    return {
+        /**
+         * Start generating a batch in the background
+         * @param {Array<{name: string, description: string}>} rows - From parseBatchFile
+         * @param {Object} [options]
+         * @param {number} [options.concurrency] - Rows generated at once
+         * @returns {Object} Job status, as from get()
+         */
+        start(rows, { concurrency } = {}) {
+            dropExpired();
+
+            const job = {
+                id: randomUUID(),
+                status: 'running',
+                createdAt: new Date().toISOString(),
+                rows: rows.map((row, i) => ({ row: i + 1, name: row.name, description: row.description, status: 'pending' })),
+                zip: null,
+                error: undefined,
+                finishedAt: null
+            };
+            jobs.set(job.id, job);
+
+            const onRow = (i, result) => {
+                job.rows[i] = { ...job.rows[i], ...result };
+            };
+            runBatch(rows, { concurrency, log, onRow })
+                .then(zip => {
+                    job.zip = zip;
+                    job.status = 'done';
+                })
+                .catch(error => {
+                    log('BATCH', 'Job failed', { id: job.id, error: error.message });
+                    job.status = 'error';
+                    job.error = error.message;
+                })
+                .finally(() => {
+                    job.finishedAt = Date.now();
+                });
+
+            return summary(job);
+        },
+
+        /**
+         * @param {string} id - Job id
+         * @returns {Object|undefined} Status: running, done or error, with a status per row
+         *   (pending, running, ok or error)
+         */
+        get(id) {
+            const job = jobs.get(id);
+            return job && summary(job);
+        },
+
+        /**
+         * @param {string} id - Job id
+         * @returns {Buffer|null|undefined} ZIP of a finished job, null while it runs,
+         *   undefined for an unknown job
+         */
+        zip(id) {
+            const job = jobs.get(id);
+            return job && job.zip;
+        }
+    };
+}
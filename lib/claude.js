@@ -0,0 +1,237 @@
+// Claude API access shared by the proxy route and headless generation
+
+import { SYSTEM_PROMPT, readRenderMapResult, withRetries } from '../js/llmMapGenerator.js';
+import { MAP_TYPES, PROJECTIONS } from '../js/projections.js';
+import { LABEL_STRATEGIES } from '../js/mapLayout.js';
+
+const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+const CLAUDE_MODEL = 'claude-opus-4-5';
+
+/**
+ * The render_map tool Claude is forced to call. Its input is a MapData spec.
+ */
+export const RENDER_MAP_TOOL = {
+    name: "render_map",
+    description: "Render a map visualization based on user request",
+    input_schema: {
+        type: "object",
+        properties: {
+            mapType: {
+                type: "string",
+                enum: MAP_TYPES,
+                description: "The type of map to render: the whole world, the US, a region, or auto (framed to fit the highlights)"
+            },
+            states: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        state: { type: "string", description: "Full name of the state or country" },
+                        postalCode: { type: "string", description: "2-letter US state code, 3-letter ISO country code, ISO 3166-2 code for other provinces/states (e.g. \"CA-ON\"), or 5-digit FIPS code for US counties (e.g. \"06037\"). CRITICAL: Never use 'USA' here for states." },
+                        label: { type: "string", description: "Display label" }
+                    },
+                    required: ["state", "postalCode", "label"]
+                }
+            },
+            defaultFill: {
+                type: "string",
+                description: "Default hex color for non-highlighted regions"
+            },
+            highlightColors: {
+                type: "object",
+                additionalProperties: { type: "string" },
+                description: "Mapping of postalCode/ISO_A3/ISO 3166-2/county FIPS code to hex color"
+            },
+            borderColor: {
+                type: "string",
+                description: "Hex color for borders"
+            },
+            showLabels: {
+                type: "boolean",
+                description: "Whether to show country and state labels. Set to false if the user says 'dont label countries' or similar."
+            },
+            title: {
+                type: "string",
+                description: "Map title, only if the user gives one"
+            },
+            subtitle: {
+                type: "string",
+                description: "Map subtitle, only if the user gives one"
+            },
+            source: {
+                type: "string",
+                description: "Source/credit line shown under the map (e.g. \"Source: World Bank\"), only if the user gives one"
+            },
+            legend: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        color: { type: "string", description: "A hex color used in highlightColors" },
+                        label: { type: "string", description: "Caption for that color (e.g. \"ASEAN\")" }
+                    },
+                    required: ["color", "label"]
+                },
+                description: "Legend captions, one per distinct highlight color. Include when colors stand for groups or the user asks for a legend; omit otherwise."
+            },
+            choropleth: {
+                type: "object",
+                properties: {
+                    column: { type: "string", description: "Exact name of the uploaded data column to shade by" },
+                    scale: { type: "string", enum: ["sequential", "diverging", "quantile"], description: "How values are split into classes" },
+                    classes: { type: "integer", minimum: 2, maximum: 9, description: "Number of color classes (default 5)" },
+                    color: { type: "string", description: "Color name for sequential/quantile ramps (e.g. blue, green)" },
+                    title: { type: "string", description: "Short legend title" }
+                },
+                required: ["column", "scale"],
+                description: "Only when the request includes UPLOADED DATA and asks to shade regions by a column."
+            },
+            projection: {
+                type: "object",
+                properties: {
+                    name: { type: "string", enum: PROJECTIONS, description: "Projection to draw with" },
+                    rotate: { type: "array", items: { type: "number" }, description: "[lambda, phi] rotation in degrees" },
+                    center: { type: "array", items: { type: "number" }, description: "[longitude, latitude] to put in the middle of the map" },
+                    parallels: { type: "array", items: { type: "number" }, description: "Standard parallels for conic projections" },
+                    scale: { type: "number", description: "Zoom factor; 1 fits the whole map" }
+                },
+                required: ["name"],
+                description: "Only when the user asks for a projection or framing; omit to use the default."
+            },
+            labelPlacement: {
+                type: "object",
+                properties: {
+                    strategy: { type: "string", enum: LABEL_STRATEGIES, description: "greedy (default), annealing, or annealing-after-greedy" },
+                    weights: {
+                        type: "object",
+                        properties: {
+                            w_len: { type: "number", description: "Penalty for distance from the marker" },
+                            w_lab2: { type: "number", description: "Penalty for label-label overlap" },
+                            w_fixed: { type: "number", description: "Penalty for overlapping country/state labels" }
+                        },
+                        description: "Annealing weights"
+                    },
+                    sweeps: { type: "integer", minimum: 1, maximum: 10000, description: "Annealing sweeps (default 500)" },
+                    seed: { type: "integer", description: "Random seed; the same seed gives the same layout" },
+                    callouts: { type: "boolean", description: "Move labels that can't fit to open space with a leader line (default true)" }
+                },
+                description: "Only when the user asks about label overlap or placement; omit for the default."
+            },
+            cities: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        name: { type: "string", description: "Name of the city" },
+                        country: { type: "string", description: "Full name of the country where the city is located (for disambiguation)" },
+                        isCapital: { type: "boolean", description: "Whether this city is a national capital" }
+                    },
+                    required: ["name", "country", "isCapital"]
+                },
+                description: "CRITICAL: You must include EVERY requested city and EVERY capital city for the requested groups (e.g. all 55 African Union capitals). Do not summarize or provide a partial list. Be exhaustive."
+            }
+        },
+        required: ["mapType", "states", "defaultFill", "highlightColors", "borderColor", "showLabels", "cities"]
+    }
+};
+
+/**
+ * Build the Claude conversation for a request. Refinements replay the
+ * previous spec as an earlier render_map call so Claude edits it instead
+ * of starting over.
+ * @param {string} description - New description or follow-up instruction
+ * @param {Object} [previous] - Prior turn ({ description, mapData })
+ * @returns {Array<Object>} Messages array for the Claude API
+ */
+export function buildMessages(description, previous) {
+    if (!previous?.mapData) {
+        return [{
+            role: 'user',
+            content: description
+        }];
+    }
+
+    const toolUseId = 'toolu_previous_map';
+    return [
+        {
+            role: 'user',
+            content: previous.description || 'Create a map.'
+        },
+        {
+            role: 'assistant',
+            content: [{
+                type: 'tool_use',
+                id: toolUseId,
+                name: 'render_map',
+                input: previous.mapData
+            }]
+        },
+        {
+            role: 'user',
+            content: [
+                {
+                    type: 'tool_result',
+                    tool_use_id: toolUseId,
+                    content: 'Map rendered.'
+                },
+                {
+                    type: 'text',
+                    text: `Update the map: ${description}\n\nReturn the complete updated map. Keep everything I did not ask to change exactly as it is.`
+                }
+            ]
+        }
+    ];
+}
+
+/**
+ * Call the Claude messages API with the render_map tool forced
+ * @param {Object} params
+ * @param {string} params.system - System prompt
+ * @param {Array<Object>} params.messages - Conversation messages
+ * @returns {Promise<Response>} Raw API response
+ */
+export async function callClaude({ system, messages }) {
+    return fetch(CLAUDE_API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify({
+            model: CLAUDE_MODEL,
+            max_tokens: 4000,
+            messages,
+            system: [
+                {
+                    type: "text",
+                    text: system,
+                    cache_control: { type: "ephemeral" }
+                }
+            ],
+            tools: [RENDER_MAP_TOOL],
+            tool_choice: { type: "tool", name: "render_map" }
+        })
+    });
+}
+
+/**
+ * Generate a validated MapData spec from a description, server-side.
+ * Uses the same system prompt, validation and retries as the browser.
+ * @param {string} description - Map description
+ * @returns {Promise<Object>} Map configuration
+ */
+export async function requestMapData(description) {
+    return withRetries(async () => {
+        const response = await callClaude({
+            system: SYSTEM_PROMPT,
+            messages: buildMessages(description)
+        });
+
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status}`);
+        }
+
+        return readRenderMapResult(await response.json());
+    });
+}
@@ -0,0 +1,13 @@
+/**
+ * d3 and TopoJSON for headless renders. The browser modules use them as
+ * globals (loaded from <script> tags, with d3-geo-projection adding the
+ * extra projections); this installs the npm packages the same way. Import
+ * it before any browser module, so they can use the globals as they load.
+ */
+
+import * as d3 from 'd3';
+import * as d3GeoProjection from 'd3-geo-projection';
+import * as topojson from 'topojson-client';
+
+globalThis.d3 = { ...d3, ...d3GeoProjection };
+globalThis.topojson = topojson;
@@ -0,0 +1,133 @@
+// Headless PPTX, PNG, PDF, EPS and D3 bundle export, reusing the browser exporters
+
+import PptxGenJS from 'pptxgenjs';
+import JSZip from 'jszip';
+import opentype from 'opentype.js';
+import { Resvg } from '@resvg/resvg-js';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { buildPptx, buildDeck } from '../js/exportPptx.js';
+import { exportBundle } from '../js/exportD3Bundle.js';
+import { prepareSvg, pngSize, setPngDpi, svgToPdf, svgToEps } from '../js/exportStatic.js';
+import { renderHeadless, loadGeoJSONFile } from './renderSvg.js';
+
+// The browser exporters use these as globals (loaded from <script> tags)
+globalThis.PptxGenJS = PptxGenJS;
+globalThis.JSZip = JSZip;
+globalThis.opentype = opentype;
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Read a file from disk, relative to the repo root (for the label fonts)
+ * @param {string} path - Path relative to the repo root
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+async function readFile(path) {
+    const buffer = await fs.promises.readFile(join(rootDir, path));
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+/**
+ * Render a map and outline its text
+ * @param {Object} mapData - Map configuration
+ * @param {Object} options - See renderHeadless
+ * @returns {Promise<{window: Window, svg: SVGSVGElement}>}
+ */
+async function renderOutlined(mapData, options) {
+    const { window, container } = await renderHeadless(mapData, options);
+    return { window, svg: await prepareSvg(container.querySelector('svg'), readFile) };
+}
+
+/**
+ * Render a map and export it as a one-slide PPTX
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options] - See renderHeadless
+ * @param {Object} [template] - Slide master (see buildDeck)
+ * @returns {Promise<Buffer>} PPTX file contents
+ */
+export async function renderPptx(mapData, options = {}, template = {}) {
+    const { container } = await renderHeadless(mapData, options);
+
+    const pres = buildPptx(container.querySelector('svg'), template);
+    return pres.write({ outputType: 'nodebuffer' });
+}
+
+/**
+ * Render several maps and export them as one deck, one map per slide
+ * @param {Array<Object>} mapDataList - Map configurations, in slide order
+ * @param {Object} [options] - See renderHeadless
+ * @param {Object} [template] - Slide master (see buildDeck)
+ * @returns {Promise<Buffer>} PPTX file contents
+ */
+export async function renderDeck(mapDataList, options = {}, template = {}) {
+    const slides = [];
+    for (const mapData of mapDataList) {
+        const { container } = await renderHeadless(mapData, options);
+        slides.push({ svg: container.querySelector('svg') });
+    }
+
+    const pres = buildDeck(slides, template);
+    return pres.write({ outputType: 'nodebuffer' });
+}
+
+/**
+ * Render a map and export it as PNG
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options] - See renderHeadless
+ * @param {Object} [pngOptions] - { dpi, width, height, background } (see svgToPng)
+ * @returns {Promise<Buffer>} PNG file contents
+ */
+export async function renderPng(mapData, options = {}, pngOptions = {}) {
+    const { window, svg } = await renderOutlined(mapData, options);
+    const { width, height, dpi } = pngSize(svg, pngOptions);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+
+    const background = pngOptions.background || 'transparent';
+    const resvg = new Resvg(new window.XMLSerializer().serializeToString(svg), {
+        fitTo: { mode: 'width', value: width },
+        ...(background !== 'transparent' ? { background } : {}),
+        font: { loadSystemFonts: false }
+    });
+    return Buffer.from(setPngDpi(resvg.render().asPng(), dpi));
+}
+
+/**
+ * Render a map and export it as PDF
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options] - See renderHeadless
+ * @param {Object} [pdfOptions] - { background, title } (see svgToPdf)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export async function renderPdf(mapData, options = {}, pdfOptions = {}) {
+    const { svg } = await renderOutlined(mapData, options);
+    return Buffer.from(svgToPdf(svg, { title: mapData.title, ...pdfOptions }));
+}
+
+/**
+ * Render a map and export it as EPS
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options] - See renderHeadless
+ * @param {Object} [epsOptions] - { background, title } (see svgToEps)
+ * @returns {Promise<string>} EPS file contents
+ */
+export async function renderEps(mapData, options = {}, epsOptions = {}) {
+    const { svg } = await renderOutlined(mapData, options);
+    return svgToEps(svg, { title: mapData.title, ...epsOptions });
+}
+
+/**
+ * Render a map and export it as a zipped D3.js bundle
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options] - See renderHeadless
+ * @returns {Promise<Buffer>} ZIP file contents
+ */
+export async function renderBundle(mapData, options = {}) {
+    const { container } = await renderHeadless(mapData, options);
+    return exportBundle(container, mapData, {
+        loadGeoJSON: loadGeoJSONFile,
+        type: 'nodebuffer'
+    });
+}
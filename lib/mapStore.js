@@ -0,0 +1,80 @@
+import fs from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+
+// Keep the store bounded; the oldest generations fall off first
+const MAX_RECORDS = 500;
+
+/**
+ * JSON-file store for generated maps. Each record holds the prompt, the
+ * validated MapData, a timestamp and a thumbnail SVG.
+ * @param {string} filePath - Path of the JSON file backing the store
+ */
+export function createMapStore(filePath) {
+    const readAll = () => {
+        if (!fs.existsSync(filePath)) return [];
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            console.error(`Failed to read map store ${filePath}:`, err);
+            return [];
+        }
+    };
+
+    const writeAll = records => {
+        fs.mkdirSync(dirname(filePath), { recursive: true });
+        // Write to a temp file first so a crash never leaves half a store
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(records));
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    return {
+        /**
+         * List records, newest first, without their MapData
+         * @returns {Array<Object>} Record summaries
+         */
+        list() {
+            return readAll().map(({ mapData, ...summary }) => ({
+                ...summary,
+                mapType: mapData.mapType
+            }));
+        },
+
+        /**
+         * @param {string} id - Record id
+         * @returns {Object|undefined} Full record
+         */
+        get(id) {
+            return readAll().find(r => r.id === id);
+        },
+
+        /**
+         * @param {Object} record - { prompt, mapData, thumbnail }
+         * @returns {Object} Stored record with id and createdAt
+         */
+        add({ prompt, mapData, thumbnail }) {
+            const record = {
+                id: randomUUID(),
+                createdAt: new Date().toISOString(),
+                prompt: prompt || '',
+                thumbnail: thumbnail || '',
+                mapData
+            };
+            writeAll([record, ...readAll()].slice(0, MAX_RECORDS));
+            return record;
+        },
+
+        /**
+         * @param {string} id - Record id
+         * @returns {boolean} Whether a record was removed
+         */
+        remove(id) {
+            const records = readAll();
+            const remaining = records.filter(r => r.id !== id);
+            if (remaining.length === records.length) return false;
+            writeAll(remaining);
+            return true;
+        }
+    };
+}
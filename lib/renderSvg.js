@@ -0,0 +1,72 @@
+// Headless map rendering: runs js/mapVisualization.js against a jsdom DOM
+
+import './globals.js';
+import { JSDOM } from 'jsdom';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { renderMap } from '../js/mapVisualization.js';
+import { cleanSvg } from '../js/cleanSvg.js';
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Parsed GeoJSON, shared across renders for the life of the process
+const geoJSONCache = new Map();
+
+/**
+ * Load a GeoJSON file from disk, relative to the repo root
+ * @param {string} path - Path as requested by renderMap (e.g. 'geojson/cities.geojson')
+ * @returns {Promise<Object>} GeoJSON data
+ */
+export function loadGeoJSONFile(path) {
+    if (!geoJSONCache.has(path)) {
+        const loading = fs.promises.readFile(join(rootDir, path), 'utf8').then(JSON.parse);
+        loading.catch(() => geoJSONCache.delete(path));
+        geoJSONCache.set(path, loading);
+    }
+    return geoJSONCache.get(path);
+}
+
+/**
+ * Create an empty container in a fresh headless document
+ * @returns {{window: Window, container: HTMLElement}}
+ */
+export function createHeadlessContainer() {
+    const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    const container = window.document.createElement('div');
+    window.document.body.appendChild(container);
+    return { window, container };
+}
+
+/**
+ * Render a map into a headless container
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options]
+ * @param {number} [options.width=960] - SVG width in px
+ * @param {number} [options.height=500] - SVG height in px
+ * @param {string|Object} [options.artboard] - Artboard, instead of width and height (see resolveArtboard)
+ * @returns {Promise<{window: Window, container: HTMLElement}>}
+ */
+export async function renderHeadless(mapData, { width = 960, height = 500, artboard } = {}) {
+    const { window, container } = createHeadlessContainer();
+    await renderMap(container, mapData, {
+        width,
+        height,
+        artboard,
+        loadGeoJSON: loadGeoJSONFile
+    });
+    return { window, container };
+}
+
+/**
+ * Render a map to a standalone SVG document, cleaned for editing (see cleanSvg)
+ * @param {Object} mapData - Map configuration
+ * @param {Object} [options] - See renderHeadless
+ * @returns {Promise<string>} SVG markup
+ */
+export async function renderSvg(mapData, options = {}) {
+    const { window, container } = await renderHeadless(mapData, options);
+    const svg = cleanSvg(container.querySelector('svg'));
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new window.XMLSerializer().serializeToString(svg);
+}
@@ -0,0 +1,151 @@
+// Matching Natural Earth admin-1 regions to ISO 3166-2 codes, for
+// build-topojson.js. Kept apart from the build so it can be tested.
+
+// Natural Earth names that no longer match an ISO name, keyed by country:
+// renamed, merged or abolished regions. null marks a region that has no
+// ISO code of its own (it is dropped, rather than taking a neighbour's).
+// Natural Earth predates Telangana and Ladakh, so IN-TS and IN-LA have no
+// region to alias.
+export const ADMIN1_ALIASES = {
+    AE: { 'Neutral Zone': null },
+    AU: { 'Jervis Bay Territory': null },
+    CN: { 'Shaanxi': 'CN-SN' },
+    ES: { 'Gerona': 'ES-GI', 'Lérida': 'ES-L', 'La Coruña': 'ES-C', 'Orense': 'ES-OR' },
+    FR: { 'Meurhe-et-Moselle': 'FR-54', 'Seien-et-Marne': 'FR-77' },
+    GB: {
+        // Northern Ireland's 26 districts became 11 in 2015
+        'Belfast': 'GB-BFS',
+        'Antrim': 'GB-ANN', 'Newtownabbey': 'GB-ANN',
+        'Ards': 'GB-AND', 'North Down': 'GB-AND',
+        'Armagh': 'GB-ABC', 'Banbridge': 'GB-ABC', 'Craigavon': 'GB-ABC',
+        'Ballymoney': 'GB-CCG', 'Coleraine': 'GB-CCG', 'Limavady': 'GB-CCG', 'Moyle': 'GB-CCG',
+        'Derry': 'GB-DRS', 'Strabane': 'GB-DRS',
+        'Fermanagh': 'GB-FMO', 'Omagh': 'GB-FMO',
+        'Castlereagh': 'GB-LBC', 'Lisburn': 'GB-LBC',
+        'Ballymena': 'GB-MEA', 'Carrickfergus': 'GB-MEA', 'Larne': 'GB-MEA',
+        'Cookstown': 'GB-MUL', 'Dungannon': 'GB-MUL', 'Magherafelt': 'GB-MUL',
+        'Down': 'GB-NMD', 'Newry and Mourne': 'GB-NMD',
+        'Anglesey': 'GB-AGY',
+        'City': 'GB-LND',
+        'Poole': 'GB-BCP',
+        'Royal Borough of Windsor and Maidenhead': 'GB-WNM'
+    },
+    IN: { 'Orissa': 'IN-OD', 'Dadra and Nagar Haveli': 'IN-DH', 'Daman and Diu': 'IN-DH' },
+    // Sardinia's provinces were redrawn in 2016
+    IT: { 'Carbonia-Iglesias': 'IT-SU', 'Medio Campidano': 'IT-SU', 'Ogliastra': 'IT-NU', 'Olbia-Tempio': 'IT-SS' },
+    JP: { 'Kagoshima': 'JP-46' },
+    MX: { 'Distrito Federal': 'MX-CMX', 'Coahuila': 'MX-COA', 'Michoacán': 'MX-MIC', 'Veracruz': 'MX-VER' },
+    OM: { 'Al Batnah South': 'OM-BJ' },
+    RU: {
+        'Altay': 'RU-ALT', "Arkhangel'sk": 'RU-ARK', 'Gorno-Altay': 'RU-AL', 'Kamchatka': 'RU-KAM', 'Khanty-Mansiy': 'RU-KHM',
+        'Leningrad': 'RU-LEN', 'Mordovia': 'RU-MO', 'Nenets': 'RU-NEN', 'North Ossetia': 'RU-SE',
+        'Novosibirsk': 'RU-NVS', "Perm'": 'RU-PER', 'Sakha (Yakutia)': 'RU-SA', 'Volgograd': 'RU-VGG',
+        'Yamal-Nenets': 'RU-YAN'
+    },
+    SD: { 'Central Darfur': 'SD-DC', 'Eastern Darfur': 'SD-DE', 'Sennar': 'SD-SI' },
+    TD: { 'Moyen-Chari': 'TD-MC' },
+    TW: { 'New Taipei City': 'TW-NWT' },
+    UA: { 'Kiev': 'UA-32', 'Kiev City': 'UA-30' }
+};
+
+// Region names for codes whose Natural Earth name is out of date, used
+// instead of it (and of the ISO name when regions are merged)
+export const ADMIN1_NAMES = {
+    'GB-BFS': 'Belfast',
+    'GB-LND': 'City of London',
+    'IN-DH': 'Dadra and Nagar Haveli and Daman and Diu',
+    'IN-OD': 'Odisha',
+    'JP-46': 'Kagoshima',
+    'MX-CMX': 'Mexico City'
+};
+
+/**
+ * Fold a region name for matching ('Baden-Württemberg' -> 'badenwurttemberg')
+ * @param {string} name - Name
+ * @returns {string} Folded name
+ */
+export function foldName(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Group ISO 3166-2 subdivisions by country, with the folded names to match
+ * @param {Array<{code: string, name: string, parent: string}>} entries - ISO 3166-2 subdivisions
+ * @returns {Map<string, Map<string, {name: string, parent: string, names: Array<string>}>>} Alpha-2 -> code -> subdivision
+ */
+export function subdivisionsByCountry(entries) {
+    const byCountry = new Map();
+    entries.forEach(({ code, name, parent }) => {
+        const country = code.slice(0, 2);
+        if (!byCountry.has(country)) byCountry.set(country, new Map());
+        // Names may list several languages ("Araba/Álava", "Asturias, Principado de")
+        byCountry.get(country).set(code, { name, parent, names: [name, ...name.split(/[;,/]\s*/)].map(foldName) });
+    });
+    return byCountry;
+}
+
+/**
+ * The one subdivision any of the names matches
+ * @param {Array<string>} names - Names
+ * @param {Map<string, Object>} subdivisions - Code -> subdivision
+ * @returns {string|null} Code, or null if none or several match
+ */
+function uniqueMatch(names, subdivisions) {
+    const folded = names.map(foldName).filter(Boolean);
+    const matches = [...subdivisions.entries()].filter(([, s]) => folded.some(name => s.names.includes(name)));
+    return matches.length === 1 ? matches[0][0] : null;
+}
+
+/**
+ * A region's code from its own name: an alias, else a unique match of the
+ * name against the country's ISO subdivisions
+ * @param {Object} props - Natural Earth properties
+ * @param {string} country - ISO alpha-2 code
+ * @param {Map<string, Object>} subdivisions - The country's ISO subdivisions (see subdivisionsByCountry)
+ * @returns {string|null|undefined} ISO 3166-2 code; null if the region has none; undefined if its name does not say
+ */
+export function ownCode(props, country, subdivisions) {
+    const aliases = ADMIN1_ALIASES[country] || {};
+    if (Object.hasOwn(aliases, props.name)) return aliases[props.name];
+    return uniqueMatch([props.name], subdivisions) ?? undefined;
+}
+
+/**
+ * Work out a Natural Earth admin-1 region's ISO 3166-2 code: its own name
+ * (see ownCode), else a unique match of its other names, else Natural
+ * Earth's own iso_3166_2, postal or HASC code if it is a real ISO code.
+ * The fallbacks skip codes another region's own name claims: Natural Earth
+ * gives some lower-level regions (Spanish provinces, Latvian municipalities)
+ * the names and codes of the region above them.
+ * @param {Object} props - Natural Earth properties
+ * @param {string} country - ISO alpha-2 code
+ * @param {Map<string, Object>} subdivisions - The country's ISO subdivisions (see subdivisionsByCountry)
+ * @param {Set<string>} [claimed] - Codes other regions of the country claim by their own names
+ * @returns {string|null} ISO 3166-2 code, or null if none fits
+ */
+export function admin1Code(props, country, subdivisions, claimed = new Set()) {
+    const own = ownCode(props, country, subdivisions);
+    if (own !== undefined) return own;
+
+    const open = new Map([...subdivisions].filter(([code]) => !claimed.has(code)));
+    const byName = uniqueMatch([props.woe_name, props.gn_name, ...String(props.name_alt || '').split('|')], open);
+    if (byName) return byName;
+
+    const hasc = String(props.code_hasc || '').split('.')[1];
+    return [props.iso_3166_2, `${country}-${props.postal}`, `${country}-${hasc}`]
+        .find(code => open.has(code)) || null;
+}
+
+/**
+ * Name for a region drawn from one or more Natural Earth regions: an
+ * override, else their shared name, else the first of the ISO names
+ * ('Asturias, Principado de' -> 'Asturias')
+ * @param {string} code - ISO 3166-2 code
+ * @param {Array<string>} names - Natural Earth names of the regions drawn as it
+ * @param {Map<string, Object>} subdivisions - The country's ISO subdivisions
+ * @returns {string} Name
+ */
+export function regionName(code, names, subdivisions) {
+    const distinct = [...new Set(names)];
+    return ADMIN1_NAMES[code] || (distinct.length === 1 ? distinct[0] : subdivisions.get(code).name.split(/[;,/]\s*/)[0]);
+}
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// Build geojson/world.topojson and the per-country admin-1 topologies, and
+// rederive the border files from the world topology so fills and borders
+// share the same arcs. Every input is tracked or an npm package, so a clean
+// checkout can rebuild the data.
+//
+// Usage: npm run build:data
+//
+// Inputs (geojson/):  US_states.geojson, cities.geojson,
+//                     country_disputed_bounds.geojson
+// Inputs (npm):       datamaps - Natural Earth countries (world.hires.json) and
+//                     admin-1 regions (<alpha-3>.json); iso-3166 - ISO 3166-2 codes
+// Outputs (geojson/): world.topojson, country_bounds.geojson, US_bounds.geojson,
+//                     admin1/<alpha-2>.topojson, admin1/REPORT.md
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { topology } from 'topojson-server';
+import { presimplify, simplify } from 'topojson-simplify';
+import { feature, mesh, mergeArcs, quantize } from 'topojson-client';
+import { iso31662 } from 'iso-3166';
+import { subdivisionsByCountry, ownCode, admin1Code, regionName } from './admin1Codes.js';
+
+const geojsonDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'geojson');
+const admin1Dir = join(geojsonDir, 'admin1');
+const require = createRequire(import.meta.url);
+const naturalEarthDir = join(dirname(require.resolve('datamaps/package.json')), 'src', 'js', 'data');
+
+// Enough precision for a 960px map zoomed to a small region
+const QUANTIZATION = 1e5;
+
+// Admin-1 topologies cover one country each, so a coarser grid does; they
+// are also simplified, dropping points whose triangle is under this many
+// square degrees (about a pixel on a map of a country the size of Germany)
+const ADMIN1_QUANTIZATION = 1e4;
+const ADMIN1_MIN_WEIGHT = 1e-4;
+
+// Only the properties the renderer reads
+const KEEP_PROPERTIES = {
+    states: ['name', 'postal'],
+    cities: ['NAME', 'ADM0NAME']
+};
+
+/**
+ * Read a GeoJSON file, keeping only the given properties
+ * @param {string} path - File path
+ * @param {Array<string>} [keep] - Property names to keep (all if omitted)
+ * @returns {Object} FeatureCollection
+ */
+function readGeoJSON(path, keep) {
+    const collection = JSON.parse(fs.readFileSync(path, 'utf8'));
+    const features = collection.features.map(f => ({
+        type: 'Feature',
+        properties: keep
+            ? Object.fromEntries(keep.filter(key => key in (f.properties || {})).map(key => [key, f.properties[key]]))
+            : {},
+        geometry: f.geometry
+    }));
+    console.log(`Read ${features.length} features from ${path.slice(path.lastIndexOf('/') + 1)}`);
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Read the Natural Earth countries, with the renderer's NAME and ISO_A3
+ * properties. Countries without an ISO code (Kosovo, Northern Cyprus,
+ * Somaliland) get Natural Earth's -99.
+ * @returns {Object} FeatureCollection
+ */
+function readCountries() {
+    const collection = JSON.parse(fs.readFileSync(join(naturalEarthDir, 'world.hires.json'), 'utf8'));
+    const features = collection.features.map(f => ({
+        type: 'Feature',
+        properties: { NAME: f.properties.name, ISO_A3: f.properties.iso || '-99' },
+        geometry: f.geometry
+    }));
+    console.log(`Read ${features.length} countries from Natural Earth`);
+    return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Write a FeatureCollection holding a topology object's land borders and
+ * its coastline, as one mesh each
+ * @param {string} file - Output file name
+ * @param {Object} topo - Topology
+ * @param {Object} object - Topology object (e.g. topo.objects.countries)
+ */
+function writeBorders(file, topo, object) {
+    const collection = {
+        type: 'FeatureCollection',
+        features: [
+            // a !== b: arcs shared by two features, i.e. land borders
+            { type: 'Feature', properties: { kind: 'border' }, geometry: mesh(topo, object, (a, b) => a !== b) },
+            // a === b: arcs of one feature only, i.e. coastlines
+            { type: 'Feature', properties: { kind: 'coastline' }, geometry: mesh(topo, object, (a, b) => a === b) }
+        ]
+    };
+    fs.writeFileSync(join(geojsonDir, file), JSON.stringify(collection));
+    console.log(`Wrote ${file}`);
+}
+
+/**
+ * Build one country's admin-1 topology: a region per ISO 3166-2 code, with
+ * Natural Earth regions that share a code merged into one, and a region
+ * for each ISO parent subdivision merged from its children (Italian
+ * regions from provinces, Spanish communities from provinces)
+ * @param {Array<Object>} features - Natural Earth features with an iso_3166_2 property
+ * @param {Map<string, Object>} subdivisions - The country's ISO subdivisions
+ * @returns {{topo: Object, merged: Array<string>, parents: Array<string>}} Topology, and the codes merged from
+ *   differently named regions and the parent codes
+ */
+function admin1Topology(features, subdivisions) {
+    // Quantized from the start, so borders Natural Earth draws a little
+    // differently on each side snap to one shared arc
+    const topo = topology({ regions: { type: 'FeatureCollection', features } }, ADMIN1_QUANTIZATION);
+    const object = topo.objects.regions;
+
+    const parts = new Map();
+    object.geometries.forEach(geometry => {
+        const code = geometry.properties.iso_3166_2;
+        if (!parts.has(code)) parts.set(code, []);
+        parts.get(code).push(geometry);
+    });
+
+    const merged = [];
+    const regions = [...parts].map(([code, geometries]) => {
+        const names = geometries.map(g => g.properties.name);
+        if (new Set(names).size > 1) merged.push(`${code} (${[...new Set(names)].join(', ')})`);
+        const properties = { name: regionName(code, names, subdivisions), iso_3166_2: code };
+        return geometries.length === 1 ? { ...geometries[0], properties } : { ...mergeArcs(topo, geometries), properties };
+    });
+
+    // Walk each region's pieces up its ISO parents (province -> region),
+    // unless Natural Earth draws the parent itself
+    const children = new Map();
+    parts.forEach((geometries, leaf) => {
+        for (let code = subdivisions.get(leaf).parent; subdivisions.has(code) && !parts.has(code);
+            code = subdivisions.get(code).parent) {
+            if (!children.has(code)) children.set(code, []);
+            children.get(code).push(...geometries);
+        }
+    });
+    const parents = [...children.keys()].sort();
+
+    // Parents first, so a highlighted province draws over its region
+    object.geometries = [...parents.map(code => ({
+        ...mergeArcs(topo, children.get(code)),
+        properties: { name: regionName(code, [], subdivisions), iso_3166_2: code }
+    })), ...regions];
+    return { topo, merged, parents };
+}
+
+/**
+ * Write the admin-1 build report: what Natural Earth could not give an ISO
+ * code, what was merged, and which ISO codes have no region
+ * @param {Array<{country: string, unmatched: Array<string>, merged: Array<string>, parents: Array<string>,
+ *   missing: Array<string>}>} countries - Per-country results, by alpha-2
+ */
+function writeAdmin1Report(countries) {
+    const section = (title, intro, key) => [
+        `## ${title}`, '', intro, '',
+        ...countries.filter(c => c[key].length).map(c => `- **${c.country}**: ${c[key].join('; ')}`),
+        ''
+    ];
+    const lines = [
+        '# Admin-1 build report',
+        '',
+        'Written by `npm run build:data` (scripts/build-topojson.js); do not edit. Codes',
+        'come from names first, then from aliases in scripts/admin1Codes.js, then from',
+        'Natural Earth\'s own codes.',
+        '',
+        ...section('Unmatched regions', 'Natural Earth regions with no ISO 3166-2 code, left out of the maps ' +
+            '(add an alias to include one).', 'unmatched'),
+        ...section('Merged regions', 'Codes drawn from several differently named Natural Earth regions.', 'merged'),
+        ...section('Parent regions', 'Codes drawn by merging the regions under them.', 'parents'),
+        ...section('Codes without a region', 'ISO 3166-2 codes with nothing to draw; specs using them fail to render.',
+            'missing')
+    ];
+    fs.writeFileSync(join(admin1Dir, 'REPORT.md'), lines.join('\n'));
+}
+
+/**
+ * Split the Natural Earth admin-1 regions into one topology per country,
+ * keyed by ISO 3166-1 alpha-2, with an ISO 3166-2 code on each region
+ * (see admin1Code), and report what did not match.
+ * The US is skipped: it uses US_states.geojson.
+ */
+function writeAdmin1() {
+    const subdivisions = subdivisionsByCountry(iso31662);
+
+    const byCountry = new Map();
+    fs.readdirSync(naturalEarthDir).filter(file => /^[a-z]{3}\.json$/.test(file)).forEach(file => {
+        JSON.parse(fs.readFileSync(join(naturalEarthDir, file), 'utf8')).features.forEach(f => {
+            const country = f.properties.iso_a2;
+            if (!/^[A-Z]{2}$/.test(country) || country === 'US' || !f.geometry) return;
+            if (!byCountry.has(country)) byCountry.set(country, []);
+            byCountry.get(country).push(f);
+        });
+    });
+
+    fs.rmSync(admin1Dir, { recursive: true, force: true });
+    fs.mkdirSync(admin1Dir, { recursive: true });
+
+    const report = [];
+    let written = 0;
+    [...byCountry.keys()].sort().forEach(country => {
+        const codes = subdivisions.get(country) || new Map();
+        const regions = byCountry.get(country);
+
+        // Codes regions claim by their own names, which the other regions'
+        // fallbacks may not take
+        const claimed = new Set(regions.map(f => ownCode(f.properties, country, codes)).filter(Boolean));
+
+        const unmatched = [];
+        const features = [];
+        regions.forEach(f => {
+            const code = admin1Code(f.properties, country, codes, claimed);
+            if (code) {
+                features.push({ type: 'Feature', properties: { name: f.properties.name, iso_3166_2: code }, geometry: f.geometry });
+            } else {
+                unmatched.push(f.properties.name || `unnamed (${f.properties.code_hasc})`);
+            }
+        });
+
+        const result = { country, unmatched, merged: [], parents: [], missing: [] };
+        if (features.length) {
+            const { topo, merged, parents } = admin1Topology(features, codes);
+            fs.writeFileSync(join(admin1Dir, `${country}.topojson`),
+                JSON.stringify(quantize(simplify(presimplify(topo), ADMIN1_MIN_WEIGHT), ADMIN1_QUANTIZATION)));
+            written++;
+
+            const drawn = new Set(topo.objects.regions.geometries.map(g => g.properties.iso_3166_2));
+            Object.assign(result, { merged, parents, missing: [...codes.keys()].filter(code => !drawn.has(code)) });
+        }
+        report.push(result);
+    });
+    writeAdmin1Report(report);
+
+    const count = key => report.reduce((sum, c) => sum + c[key].length, 0);
+    console.log(`Wrote admin1/ for ${written} countries: ` +
+        `${count('unmatched')} regions unmatched, ${count('merged')} codes merged, ${count('parents')} parent regions, ` +
+        `${count('missing')} codes without a region (see admin1/REPORT.md)`);
+}
+
+const topo = topology({
+    countries: readCountries(),
+    states: readGeoJSON(join(geojsonDir, 'US_states.geojson'), KEEP_PROPERTIES.states),
+    cities: readGeoJSON(join(geojsonDir, 'cities.geojson'), KEEP_PROPERTIES.cities),
+    disputed: readGeoJSON(join(geojsonDir, 'country_disputed_bounds.geojson'))
+}, QUANTIZATION);
+
+const output = JSON.stringify(topo);
+fs.writeFileSync(join(geojsonDir, 'world.topojson'), output);
+console.log(`Wrote world.topojson (${Math.round(output.length / 1024)} KB)`);
+
+writeBorders('country_bounds.geojson', topo, topo.objects.countries);
+writeBorders('US_bounds.geojson', topo, topo.objects.states);
+
+// Sanity check: the fills read back from the topology
+console.log(`Round trip: ${feature(topo, topo.objects.countries).features.length} countries, ` +
+    `${feature(topo, topo.objects.states).features.length} states, ` +
+    `${feature(topo, topo.objects.cities).features.length} cities`);
+
+writeAdmin1();
+
+// County maps use us-atlas as is: counties keyed by FIPS id, with names
+fs.copyFileSync(require.resolve('us-atlas/counties-10m.json'), join(geojsonDir, 'US_counties.topojson'));
+console.log('Wrote US_counties.topojson');
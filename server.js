@@ -3,6 +3,12 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs';
 import dotenv from 'dotenv';
+import { createMapStore } from './lib/mapStore.js';
+import { buildMessages, callClaude, requestMapData } from './lib/claude.js';
+import { renderSvg } from './lib/renderSvg.js';
+import { parseBatchFile, createBatchJobs, DEFAULT_CONCURRENCY, MAX_CONCURRENCY } from './lib/batch.js';
+import { validateMapData } from './js/llmMapGenerator.js';
+import { resolveArtboard } from './js/artboard.js';
 
 dotenv.config();
 
@@ -72,6 +78,9 @@ function log(type, action, data = {}) {
     }
 }
 
+// Saved map history
+const mapStore = createMapStore(join(__dirname, 'data', 'maps.json'));
+
 const app = express();
 const port = process.env.PORT || 5000;
 
@@ -85,8 +94,8 @@ app.use((req, res, next) => {
     }
 });
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies (saved maps carry a thumbnail SVG)
+app.use(express.json({ limit: '5mb' }));
 
 // Log requests
 app.use((req, res, next) => {
@@ -108,92 +117,13 @@ app.post('/log', (req, res) => {
 // Claude API proxy
 app.post('/api/claude', async (req, res) => {
     try {
-        const { description } = req.body;
+        const { description, previous } = req.body;
         
-        log('SERVER', 'Proxying Claude request', { description });
+        log('SERVER', 'Proxying Claude request', { description, refining: Boolean(previous?.mapData) });
         
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': process.env.CLAUDE_API_KEY,
-                'anthropic-version': '2023-06-01'
-            },
-            body: JSON.stringify({
-                model: 'claude-opus-4-5',
-                max_tokens: 4000,
-                messages: [{
-                    role: 'user',
-                    content: description
-                }],
-                system: [
-                    {
-                        type: "text",
-                        text: req.body.system,
-                        cache_control: { type: "ephemeral" }
-                    }
-                ],
-                tools: [
-                    {
-                        name: "render_map",
-                        description: "Render a map visualization based on user request",
-                        input_schema: {
-                            type: "object",
-                            properties: {
-                                mapType: {
-                                    type: "string",
-                                    enum: ["world", "us"],
-                                    description: "The type of map to render"
-                                },
-                                states: {
-                                    type: "array",
-                                    items: {
-                                        type: "object",
-                                        properties: {
-                                            state: { type: "string", description: "Full name of the state or country" },
-                                            postalCode: { type: "string", description: "2-letter state code or 3-letter ISO country code. CRITICAL: Never use 'USA' here for states." },
-                                            label: { type: "string", description: "Display label" }
-                                        },
-                                        required: ["state", "postalCode", "label"]
-                                    }
-                                },
-                                defaultFill: {
-                                    type: "string",
-                                    description: "Default hex color for non-highlighted regions"
-                                },
-                                highlightColors: {
-                                    type: "object",
-                                    additionalProperties: { type: "string" },
-                                    description: "Mapping of postalCode/ISO_A3 to hex color"
-                                },
-                                borderColor: {
-                                    type: "string",
-                                    description: "Hex color for borders"
-                                },
-                                showLabels: {
-                                    type: "boolean",
-                                    description: "Whether to show country and state labels. Set to false if the user says 'dont label countries' or similar."
-                                },
-                                cities: {
-                                    type: "array",
-                                    items: {
-                                        type: "object",
-                                        properties: {
-                                            name: { type: "string", description: "Name of the city" },
-                                            country: { type: "string", description: "Full name of the country where the city is located (for disambiguation)" },
-                                            isCapital: { type: "boolean", description: "Whether this city is a national capital" }
-                                        },
-                                        required: ["name", "country", "isCapital"]
-                                    },
-                                    description: "CRITICAL: You must include EVERY requested city and EVERY capital city for the requested groups (e.g. all 55 African Union capitals). Do not summarize or provide a partial list. Be exhaustive."
-                                }
-                            },
-                            required: ["mapType", "states", "defaultFill", "highlightColors", "borderColor", "showLabels", "cities"]
-                        }
-                    }
-                ],
-                tool_choice: { type: "tool", name: "render_map" }
-            })
+        const response = await callClaude({
+            system: req.body.system,
+            messages: buildMessages(description, previous)
         });
         
         if (!response.ok) {
@@ -213,6 +143,151 @@ app.post('/api/claude', async (req, res) => {
     }
 });
 
+// Headless render: a MapData spec (or a prompt) in, finished SVG out
+app.post('/api/render', async (req, res) => {
+    const { mapData: spec, prompt, width = 960, height = 500, artboard } = req.body;
+
+    if (!spec && !prompt) {
+        res.status(400).json({ error: 'Provide mapData or prompt' });
+        return;
+    }
+    if (![width, height].every(n => Number.isFinite(n) && n > 0 && n <= 10000)) {
+        res.status(400).json({ error: 'width and height must be numbers between 1 and 10000' });
+        return;
+    }
+    if (artboard) {
+        try {
+            resolveArtboard(artboard);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+            return;
+        }
+    }
+
+    let mapData = spec;
+    if (mapData) {
+        try {
+            validateMapData(mapData);
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+            return;
+        }
+        if (mapData.showLabels === undefined) {
+            mapData.showLabels = true;
+        }
+    }
+
+    try {
+        if (!mapData) {
+            log('SERVER', 'Generating map for headless render', { prompt });
+            mapData = await requestMapData(prompt);
+        }
+
+        const svg = await renderSvg(mapData, { width, height, artboard });
+        log('SERVER', 'Headless render complete', { mapType: mapData.mapType });
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        log('SERVER', 'Error rendering map', { error: error.message });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Batch generation: a CSV or JSONL file of descriptions in, ZIP of maps out.
+// Runs as a job: POST starts it, GET polls its rows, GET .../zip downloads it
+const batchJobs = createBatchJobs({ log });
+const batchBody = express.text({
+    type: ['text/csv', 'text/plain', 'application/jsonl', 'application/x-ndjson'],
+    limit: '1mb'
+});
+
+app.post('/api/batch', batchBody, (req, res) => {
+    const format = req.query.format
+        || (req.is('application/jsonl') || req.is('application/x-ndjson') ? 'jsonl' : 'csv');
+    if (!['csv', 'jsonl'].includes(format)) {
+        res.status(400).json({ error: 'format must be csv or jsonl' });
+        return;
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        res.status(400).json({ error: 'Send the CSV or JSONL file as the request body' });
+        return;
+    }
+
+    const concurrency = Math.min(Math.max(parseInt(req.query.concurrency, 10) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+    let rows;
+    try {
+        rows = parseBatchFile(req.body, format);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
+
+    log('SERVER', 'Starting batch', { rows: rows.length, format, concurrency });
+    const job = batchJobs.start(rows, { concurrency });
+    res.status(202).location(`/api/batch/${job.id}`).json(job);
+});
+
+app.get('/api/batch/:id', (req, res) => {
+    const job = batchJobs.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: 'Batch not found' });
+        return;
+    }
+    res.json(job);
+});
+
+app.get('/api/batch/:id/zip', (req, res) => {
+    const job = batchJobs.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: 'Batch not found' });
+        return;
+    }
+    if (job.status !== 'done') {
+        res.status(409).json({ error: job.error || 'Batch is still running' });
+        return;
+    }
+    res.type('application/zip')
+        .set('Content-Disposition', 'attachment; filename="maps.zip"')
+        .send(batchJobs.zip(job.id));
+});
+
+// Map history
+app.get('/api/maps', (req, res) => {
+    res.json(mapStore.list());
+});
+
+app.get('/api/maps/:id', (req, res) => {
+    const record = mapStore.get(req.params.id);
+    if (!record) {
+        res.status(404).json({ error: 'Map not found' });
+        return;
+    }
+    res.json(record);
+});
+
+app.post('/api/maps', (req, res) => {
+    const { prompt, mapData, thumbnail } = req.body;
+    try {
+        validateMapData(mapData);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
+
+    const record = mapStore.add({ prompt, mapData, thumbnail });
+    log('SERVER', 'Saved map', { id: record.id, prompt });
+    res.status(201).json(record);
+});
+
+app.delete('/api/maps/:id', (req, res) => {
+    if (!mapStore.remove(req.params.id)) {
+        res.status(404).json({ error: 'Map not found' });
+        return;
+    }
+    log('SERVER', 'Deleted map', { id: req.params.id });
+    res.sendStatus(204);
+});
+
 // Serve static files
 app.use(express.static(__dirname));
 
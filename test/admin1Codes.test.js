@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { iso31662 } from 'iso-3166';
+import { foldName, subdivisionsByCountry, admin1Code, regionName } from '../scripts/admin1Codes.js';
+
+const subdivisions = subdivisionsByCountry(iso31662);
+const codeOf = (props, country, claimed) => admin1Code(props, country, subdivisions.get(country), claimed);
+
+test('foldName drops accents, case and punctuation', () => {
+    assert.equal(foldName('Baden-Württemberg'), 'badenwurttemberg');
+    assert.equal(foldName(null), '');
+});
+
+test('admin1Code matches a region by its own name', () => {
+    assert.equal(codeOf({ name: 'Ontario' }, 'CA'), 'CA-ON');
+    assert.equal(codeOf({ name: 'Bayern', iso_3166_2: 'DE-XX' }, 'DE'), 'DE-BY');
+});
+
+test('admin1Code follows aliases for renamed regions', () => {
+    assert.equal(codeOf({ name: 'Distrito Federal' }, 'MX'), 'MX-CMX');
+    assert.equal(codeOf({ name: 'Orissa' }, 'IN'), 'IN-OD');
+    assert.equal(codeOf({ name: 'Kagoshima' }, 'JP'), 'JP-46');
+    assert.equal(codeOf({ name: 'Gerona', woe_name: 'Cataluña', iso_3166_2: 'ES-CT' }, 'ES'), 'ES-GI');
+    assert.equal(codeOf({ name: 'Jervis Bay Territory', iso_3166_2: 'AU-ACT' }, 'AU'), null);
+});
+
+test('admin1Code falls back to other names, then Natural Earth codes', () => {
+    assert.equal(codeOf({ name: 'Nowhere', woe_name: 'Quebec' }, 'CA'), 'CA-QC');
+    assert.equal(codeOf({ name: 'Nowhere', iso_3166_2: 'CA-XX', postal: 'BC' }, 'CA'), 'CA-BC');
+    assert.equal(codeOf({ name: 'Nowhere', code_hasc: 'CA.NS' }, 'CA'), 'CA-NS');
+    assert.equal(codeOf({ name: 'Nowhere' }, 'CA'), null);
+});
+
+test('admin1Code leaves codes claimed by other regions\' names to them', () => {
+    const alojas = { name: 'Alojas', woe_name: 'Riga', postal: 'R', code_hasc: 'LV.AJ' };
+    assert.equal(codeOf(alojas, 'LV'), 'LV-RIX');
+    assert.equal(codeOf(alojas, 'LV', new Set(['LV-RIX'])), null);
+});
+
+test('regionName prefers overrides, then a shared name, then the ISO name', () => {
+    const es = subdivisions.get('ES');
+    assert.equal(regionName('MX-CMX', ['Distrito Federal'], subdivisions.get('MX')), 'Mexico City');
+    assert.equal(regionName('ES-GI', ['Gerona', 'Gerona'], es), 'Gerona');
+    assert.equal(regionName('ES-AS', [], es), 'Asturias');
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArtboard } from '../js/artboard.js';
+
+test('parseArtboard accepts preset ids in any case', () => {
+    assert.equal(parseArtboard(' A4 '), 'a4');
+    assert.equal(parseArtboard('letter'), 'letter');
+});
+
+test('parseArtboard reads sizes, defaulting to px', () => {
+    assert.deepEqual(parseArtboard('8.5x11in'), { width: 8.5, height: 11, unit: 'in' });
+    assert.deepEqual(parseArtboard('210 × 297 mm'), { width: 210, height: 297, unit: 'mm' });
+    assert.deepEqual(parseArtboard('1080x1080'), { width: 1080, height: 1080, unit: 'px' });
+});
+
+test('parseArtboard rejects anything else', () => {
+    assert.throws(() => parseArtboard('poster'), /Invalid artboard "poster"/);
+    assert.throws(() => parseArtboard('8x11cm'), /Invalid artboard/);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDataset } from '../js/choropleth.js';
+
+test('parseDataset keys numeric columns by region code', () => {
+    const dataset = parseDataset('name,iso_a3,gdp,note\nFrance,fra,"2,780",big\nGermany,DEU,4082,bigger\n');
+
+    assert.equal(dataset.keyColumn, 'iso_a3');
+    assert.equal(dataset.rowCount, 2);
+    assert.deepEqual(dataset.columns, { gdp: { FRA: 2780, DEU: 4082 } });
+});
+
+test('parseDataset restores the leading zero of 4-digit FIPS codes', () => {
+    const dataset = parseDataset('fips,rate\n6037,4.5\n36061,3.2\n01001,5\n');
+
+    assert.deepEqual(dataset.columns.rate, { '06037': 4.5, '36061': 3.2, '01001': 5 });
+});
+
+test('parseDataset falls back to the first column as the key', () => {
+    assert.equal(parseDataset('region,value\nTX,1\n').keyColumn, 'region');
+});
+
+test('parseDataset rejects a CSV without data rows or numeric columns', () => {
+    assert.throws(() => parseDataset('iso_a3,gdp\n'), /header row and at least one data row/);
+    assert.throws(() => parseDataset('iso_a3,name\nFRA,France\n'), /no numeric columns/);
+});
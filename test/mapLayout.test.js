@@ -0,0 +1,32 @@
+import '../lib/globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { annealLabels } from '../js/mapLayout.js';
+
+const extent = [[0, 0], [200, 100]];
+
+// Three labels stacked on nearby anchors, so the annealer has to move them
+function crowdedLabels() {
+    const anchors = [{ x: 50, y: 50, r: 1 }, { x: 55, y: 52, r: 1 }, { x: 60, y: 48, r: 1 }];
+    const labels = anchors.map(a => ({ x: a.x + 2, y: a.y, width: 40, height: 8 }));
+    const fixed = [{ x: 45, y: 30, width: 30, height: 10 }];
+    return { labels, anchors, fixed };
+}
+
+function anneal(seed) {
+    const { labels, anchors, fixed } = crowdedLabels();
+    annealLabels(labels, anchors, fixed, { sweeps: 200, seed }, extent);
+    return labels.map(({ x, y, posIdx }) => ({ x, y, posIdx }));
+}
+
+test('annealLabels places labels the same way for the same seed', () => {
+    assert.deepEqual(anneal(42), anneal(42));
+    assert.notDeepEqual(anneal(42), anneal(7));
+});
+
+test('annealLabels keeps labels within the extent', () => {
+    anneal(7).forEach(({ x, y }) => {
+        assert.ok(x >= extent[0][0] && x <= extent[1][0], `x ${x} outside the extent`);
+        assert.ok(y >= extent[0][1] && y <= extent[1][1], `y ${y} outside the extent`);
+    });
+});
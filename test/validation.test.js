@@ -0,0 +1,39 @@
+import '../lib/globals.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateProjection, validateLabelPlacement } from '../js/llmMapGenerator.js';
+
+test('validateProjection accepts a known projection with valid parameters', () => {
+    assert.doesNotThrow(() => validateProjection({
+        mapType: 'world',
+        projection: { name: 'conicEqualArea', rotate: [-10, 0], center: [0, 50], parallels: [40, 60], scale: 800 }
+    }));
+    assert.doesNotThrow(() => validateProjection({ mapType: 'county', projection: { name: 'albersUsa' } }));
+});
+
+test('validateProjection rejects unknown projections and bad parameters', () => {
+    assert.throws(() => validateProjection({ mapType: 'world', projection: { name: 'flat' } }), /Projection must be one of/);
+    assert.throws(() => validateProjection({ mapType: 'world', projection: { name: 'albersUsa' } }), /only works for US maps/);
+    assert.throws(() => validateProjection({ mapType: 'world', projection: { name: 'mercator', rotate: [10] } }), /rotate/);
+    assert.throws(() => validateProjection({ mapType: 'world', projection: { name: 'mercator', center: [0, 0, 0] } }), /center/);
+    assert.throws(() => validateProjection({ mapType: 'world', projection: { name: 'mercator', parallels: [30] } }), /parallels/);
+    assert.throws(() => validateProjection({ mapType: 'world', projection: { name: 'mercator', scale: 0 } }), /scale/);
+});
+
+test('validateLabelPlacement accepts full settings', () => {
+    assert.doesNotThrow(() => validateLabelPlacement({
+        strategy: 'annealing', weights: { w_len: 0.5, w_lab2: 10, w_fixed: 0 }, sweeps: 2000, seed: 7, callouts: false
+    }));
+    assert.doesNotThrow(() => validateLabelPlacement({}));
+});
+
+test('validateLabelPlacement rejects bad settings', () => {
+    assert.throws(() => validateLabelPlacement([]), /must be an object/);
+    assert.throws(() => validateLabelPlacement({ strategy: 'random' }), /strategy must be one of/);
+    assert.throws(() => validateLabelPlacement({ weights: { w_inter: 1 } }), /weights/);
+    assert.throws(() => validateLabelPlacement({ weights: { w_len: -1 } }), /weights/);
+    assert.throws(() => validateLabelPlacement({ sweeps: 0 }), /sweeps/);
+    assert.throws(() => validateLabelPlacement({ sweeps: 10001 }), /sweeps/);
+    assert.throws(() => validateLabelPlacement({ seed: 1.5 }), /seed/);
+    assert.throws(() => validateLabelPlacement({ callouts: 'yes' }), /callouts/);
+});